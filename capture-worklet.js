@@ -0,0 +1,87 @@
+/**
+ * Web Sampler - Capture Worklet
+ * Records raw PCM from the input, stamped with the AudioContext frame it was captured at,
+ * so the engine can place each take sample-accurately.
+ *
+ * Messages in:  { command: 'start', frame }  capture frames >= frame
+ *               { command: 'stop', frame }   capture frames < frame, then report 'done'
+ *               { command: 'cancel' }        drop the take (released during a count-in)
+ * Messages out: { type: 'frames', frame, channels: Float32Array[] }
+ *               { type: 'done', frame }
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = false;
+        this.startFrame = 0;
+        this.stopFrame = Infinity;
+
+        // Batch blocks before posting (128 frames per process() call is a lot of messages)
+        this.pending = [];
+        this.pendingFrame = 0;
+        this.pendingLength = 0;
+        this.batchSize = 4096;
+
+        this.port.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.command === 'start') {
+                this.recording = true;
+                this.startFrame = msg.frame;
+                this.stopFrame = Infinity;
+                this.pending = [];
+                this.pendingLength = 0;
+            } else if (msg.command === 'stop') {
+                this.stopFrame = msg.frame;
+            } else if (msg.command === 'cancel') {
+                this.recording = false;
+                this.pending = [];
+                this.pendingLength = 0;
+            }
+        };
+    }
+
+    flush() {
+        if (this.pendingLength === 0) return;
+        const numChannels = this.pending[0].length;
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            const data = new Float32Array(this.pendingLength);
+            let offset = 0;
+            this.pending.forEach(block => {
+                data.set(block[ch] || block[0], offset);
+                offset += block[0].length;
+            });
+            channels.push(data);
+        }
+        this.port.postMessage({ type: 'frames', frame: this.pendingFrame, channels }, channels.map(c => c.buffer));
+        this.pending = [];
+        this.pendingLength = 0;
+    }
+
+    process(inputs) {
+        if (!this.recording) return true;
+
+        // An input with nothing connected has no channels: record it as silence
+        const input = inputs[0].length > 0 ? inputs[0] : [new Float32Array(128)];
+        const blockStart = currentFrame;
+        const blockEnd = currentFrame + input[0].length;
+        const from = Math.max(this.startFrame, blockStart);
+        const to = Math.min(this.stopFrame, blockEnd);
+
+        if (to > from) {
+            if (this.pendingLength === 0) this.pendingFrame = from;
+            this.pending.push(input.map(ch => ch.slice(from - blockStart, to - blockStart)));
+            this.pendingLength += to - from;
+            if (this.pendingLength >= this.batchSize) this.flush();
+        }
+
+        if (blockEnd >= this.stopFrame) {
+            this.flush();
+            this.recording = false;
+            this.port.postMessage({ type: 'done', frame: this.stopFrame });
+        }
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
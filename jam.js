@@ -0,0 +1,370 @@
+/**
+ * Web Sampler - Jam Sessions
+ * Shares a looper with other browsers through the WebSocket relay (server/relay.js).
+ *
+ * - Recorded and imported tracks are sent to every peer and added to their scene at the
+ *   same offset; a late joiner gets the host's whole session.
+ * - Play/stop and scene changes follow a shared loop clock: the host's AudioContext time.
+ *   Each peer estimates its offset to that clock with ping/pong (best round trip wins).
+ * - Mixer, effects, undo and other edits stay local to each player.
+ *
+ * Loads as a plain script (after looper.js) or as a CommonJS module in Node.
+ */
+
+// [uint32 header length][JSON header][float32 audio, one channel after another]
+function encodeTrackMessage(header, buffer) {
+    const json = new TextEncoder().encode(JSON.stringify({
+        ...header,
+        channels: buffer.numberOfChannels,
+        length: buffer.length,
+        sampleRate: buffer.sampleRate
+    }));
+    const audioStart = Math.ceil((4 + json.length) / 4) * 4; // Float32Array needs 4-byte alignment
+    const bytes = new Uint8Array(audioStart + buffer.numberOfChannels * buffer.length * 4);
+    new DataView(bytes.buffer).setUint32(0, json.length, true);
+    bytes.set(json, 4);
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+        new Float32Array(bytes.buffer, audioStart + ch * buffer.length * 4, buffer.length).set(buffer.getChannelData(ch));
+    }
+    return bytes.buffer;
+}
+
+function decodeTrackMessage(arrayBuffer) {
+    const headerLength = new DataView(arrayBuffer).getUint32(0, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, 4, headerLength)));
+    const audioStart = Math.ceil((4 + headerLength) / 4) * 4;
+    const channels = [];
+    for (let ch = 0; ch < header.channels; ch++) {
+        channels.push(new Float32Array(arrayBuffer.slice(audioStart + ch * header.length * 4, audioStart + (ch + 1) * header.length * 4)));
+    }
+    return { header, channels };
+}
+
+class JamSession {
+    /**
+     * options.WebSocket: WebSocket implementation (default: the browser's)
+     */
+    constructor(looper, options = {}) {
+        this.looper = looper;
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.socket = null;
+        this.id = null;
+        this.hostId = null;
+        this.peers = new Set();
+        this.room = '';
+
+        // Host clock = local AudioContext time + clockOffset
+        this.clockOffset = 0;
+        this.bestRoundTrip = Infinity;
+        this.pingTimer = null;
+
+        // Received messages are handled one at a time (tracks are resampled asynchronously)
+        this.inbox = Promise.resolve();
+        this.applyingRemote = false; // Set while applying a peer's transport/scene change
+        this.transportQueued = false;
+        this.sentTransport = null;
+        this.pendingTransport = null; // Arrived before the first clock estimate
+
+        this.unsubscribe = [];
+        this.listeners = new Map();
+    }
+
+    get connected() {
+        return this.socket !== null && this.id !== null;
+    }
+
+    get isHost() {
+        return this.connected && this.id === this.hostId;
+    }
+
+    // 'status' (): connection, host or peers changed
+    on(event, listener) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(listener);
+        return () => this.listeners.get(event).delete(listener);
+    }
+
+    emit(event, ...args) {
+        (this.listeners.get(event) || []).forEach(listener => listener(...args));
+    }
+
+    /**
+     * Host (host = true) or join the jam `room` on the relay at `url`.
+     * Resolves once the relay has welcomed us; failures are reported through the looper's 'error' event.
+     */
+    async connect(url, room, { host = false } = {}) {
+        this.disconnect();
+        await this.looper.ensureContext(); // The shared clock is the AudioContext clock
+        this.room = room;
+
+        return new Promise(resolve => {
+            let socket;
+            try {
+                const target = new URL(url);
+                target.searchParams.set('room', room);
+                if (host) target.searchParams.set('host', '1');
+                socket = new this.WebSocket(target.toString());
+            } catch (err) {
+                this.looper.fail('JAM_FAILED', `Could not connect to the jam relay at ${url}.`, err);
+                resolve(false);
+                return;
+            }
+            socket.binaryType = 'arraybuffer';
+            this.socket = socket;
+
+            socket.onmessage = (e) => {
+                const welcome = typeof e.data === 'string' ? JSON.parse(e.data) : null;
+                if (welcome && welcome.type === 'welcome') {
+                    this.welcome(welcome);
+                    resolve(true);
+                }
+                this.inbox = this.inbox.then(() => this.handleMessage(e.data)).catch(err => {
+                    console.error("Jam message failed:", err);
+                });
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket) return resolve(false); // We left
+                const wasConnected = this.connected;
+                this.reset();
+                this.looper.fail('JAM_FAILED', wasConnected
+                    ? `Lost the connection to the jam relay at ${url}.`
+                    : `Could not join "${room}" on the jam relay at ${url}.`);
+                resolve(false);
+            };
+        });
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.reset();
+        socket.close();
+    }
+
+    reset() {
+        this.socket = null;
+        this.id = null;
+        this.hostId = null;
+        this.peers.clear();
+        this.pendingTransport = null;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        this.emit('status');
+    }
+
+    welcome({ id, host, peers }) {
+        this.id = id;
+        this.peers = new Set(peers);
+        this.setHost(host);
+        this.rememberTransport(); // Only changes from here on are sent
+
+        const looper = this.looper;
+        this.unsubscribe = [
+            looper.on('layeradded', (layer) => this.shareTrack(layer)),
+            looper.on('state', () => this.queueTransport()),
+            looper.on('scene', () => this.shareScene())
+        ];
+        this.emit('status');
+    }
+
+    setHost(hostId) {
+        this.hostId = hostId;
+        this.clockOffset = 0;
+        this.bestRoundTrip = Infinity;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        if (this.isHost) return;
+
+        // A few quick pings for a first estimate, then keep refining it
+        let count = 0;
+        const ping = () => this.send({ type: 'ping', to: this.hostId, sent: this.looper.ctx.currentTime });
+        ping();
+        this.pingTimer = setInterval(() => {
+            ping();
+            if (++count === 5) {
+                clearInterval(this.pingTimer);
+                this.pingTimer = setInterval(ping, 5000);
+            }
+        }, 200);
+    }
+
+    // Local AudioContext time <-> shared (host) loop clock
+    toShared(time) {
+        return time + this.clockOffset;
+    }
+
+    toLocal(time) {
+        return time - this.clockOffset;
+    }
+
+    send(msg) {
+        if (this.socket && this.socket.readyState === 1) this.socket.send(typeof msg === 'string' ? msg : JSON.stringify(msg));
+    }
+
+    sendTrack(header, buffer) {
+        if (this.socket && this.socket.readyState === 1) this.socket.send(encodeTrackMessage({ ...header, from: this.id }, buffer));
+    }
+
+    // === OUTGOING ===
+
+    shareTrack({ buffer, scene, offset, shared }) {
+        if (shared) return; // Came from a peer
+        this.sendTrack({ type: 'track', scene, offset }, buffer);
+    }
+
+    // play() emits STOPPED then PLAYING: send only where the transport ends up
+    queueTransport() {
+        if (this.applyingRemote || this.transportQueued) return;
+        this.transportQueued = true;
+        queueMicrotask(() => {
+            this.transportQueued = false;
+            if (this.applyingRemote) return;
+            if (!this.transportChanged()) return;
+            this.rememberTransport();
+            this.send({ type: 'transport', ...this.transport() });
+        });
+    }
+
+    // Compared on the local clock: the shared one shifts a little as the offset estimate improves
+    transportChanged() {
+        const looper = this.looper;
+        const last = this.sentTransport;
+        if (!last || last.playing !== looper.isPlaying) return true;
+        return looper.isPlaying && Math.abs(last.loopStartTime - looper.loopStartTime) > 0.001;
+    }
+
+    rememberTransport() {
+        this.sentTransport = { playing: this.looper.isPlaying, loopStartTime: this.looper.loopStartTime };
+    }
+
+    transport() {
+        const looper = this.looper;
+        return {
+            playing: looper.isPlaying,
+            loopStart: this.toShared(looper.loopStartTime),
+            loopDuration: looper.loopDuration
+        };
+    }
+
+    shareScene() {
+        if (this.applyingRemote) return;
+        const looper = this.looper;
+        this.send({ type: 'scene', index: looper.pendingScene ?? looper.activeScene });
+    }
+
+    // Everything a late joiner needs: tempo, the tracks of every scene, then the transport
+    sendSession(to) {
+        const looper = this.looper;
+        this.send({ type: 'session', to, tempo: looper.tempo, activeScene: looper.activeScene });
+        if (!looper.masterBuffer) return;
+        this.sendTrack({ type: 'track', to, scene: null, offset: 0 }, looper.masterBuffer);
+        looper.scenes.forEach((scene, index) => scene.layers.forEach(buffer => {
+            this.sendTrack({ type: 'track', to, scene: index, offset: looper.layerOffsets.get(buffer) || 0 }, buffer);
+        }));
+        this.send({ type: 'transport', to, ...this.transport() });
+    }
+
+    // === INCOMING ===
+
+    async handleMessage(data) {
+        if (typeof data !== 'string') {
+            const { header, channels } = decodeTrackMessage(data);
+            await this.receiveTrack(header, channels);
+            return;
+        }
+
+        const msg = JSON.parse(data);
+        const looper = this.looper;
+        switch (msg.type) {
+            case 'peer-joined':
+                this.peers.add(msg.id);
+                if (this.isHost) this.sendSession(msg.id);
+                this.emit('status');
+                break;
+            case 'peer-left':
+                this.peers.delete(msg.id);
+                this.emit('status');
+                break;
+            case 'host':
+                this.setHost(msg.id);
+                this.emit('status');
+                break;
+            case 'ping':
+                this.send({ type: 'pong', to: msg.from, sent: msg.sent, time: looper.ctx.currentTime });
+                break;
+            case 'pong': {
+                const now = looper.ctx.currentTime;
+                const roundTrip = now - msg.sent;
+                if (roundTrip < this.bestRoundTrip) {
+                    this.bestRoundTrip = roundTrip;
+                    this.clockOffset = msg.time - (msg.sent + now) / 2;
+                }
+                if (this.pendingTransport) {
+                    const transport = this.pendingTransport;
+                    this.pendingTransport = null;
+                    this.applyTransport(transport);
+                }
+                break;
+            }
+            case 'session':
+                if (!looper.masterBuffer) looper.setTempo(msg.tempo);
+                this.applyRemote(() => looper.queueScene(msg.activeScene));
+                break;
+            case 'transport':
+                this.applyTransport(msg);
+                break;
+            case 'scene':
+                if ((looper.pendingScene ?? looper.activeScene) !== msg.index) {
+                    this.applyRemote(() => looper.queueScene(msg.index));
+                }
+                break;
+            case 'error':
+                looper.fail('JAM_FAILED', msg.message);
+                break;
+        }
+    }
+
+    async receiveTrack(header, channels) {
+        const looper = this.looper;
+        const buffer = looper.ctx.createBuffer(header.channels, header.length, header.sampleRate);
+        channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+        await looper.addSharedTrack(buffer, { scene: header.scene, offset: header.offset });
+    }
+
+    // Start or stop in step with the sender's loop clock
+    applyTransport(transport) {
+        const { playing, loopStart, loopDuration } = transport;
+        const looper = this.looper;
+        if (!looper.masterBuffer) return;
+        if (!this.isHost && this.bestRoundTrip === Infinity) {
+            this.pendingTransport = transport;
+            return;
+        }
+        this.applyRemote(() => {
+            if (!playing) {
+                if (looper.isPlaying) looper.stop();
+                return;
+            }
+            // Loops of different lengths (edited locally) still start together on the shared clock
+            const elapsed = looper.ctx.currentTime - this.toLocal(loopStart);
+            const duration = Math.abs(loopDuration - looper.loopDuration) < 0.001 ? loopDuration : looper.loopDuration;
+            looper.play(((elapsed % duration) + duration) % duration);
+        });
+        this.rememberTransport();
+    }
+
+    applyRemote(action) {
+        this.applyingRemote = true;
+        try {
+            action();
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { JamSession, encodeTrackMessage, decodeTrackMessage };
+}
@@ -0,0 +1,141 @@
+/**
+ * Web Sampler - Limiter Worklet
+ * Look-ahead peak limiter for the master bus. The DSP (Limiter) is shared: the worklet runs
+ * it on live playback, and the engine runs the same code over the rendered mix on export.
+ *
+ * Messages in:  { ceiling, enabled }   ceiling in dBFS; disabled passes audio through
+ *                                      (with the same delay, so timing never shifts)
+ * Messages out: { type: 'reduction', db }  deepest gain reduction (<= 0) since the last report
+ *
+ * Loads as a worklet module, a plain script or a CommonJS module in Node.
+ */
+
+/**
+ * Delays the audio by `lookahead` and starts turning the gain down that far ahead of each
+ * peak, so nothing passes the ceiling and there is no hard clipping.
+ * Gain: the lowest gain any sample in the look-ahead window needs, held for the window,
+ * released exponentially, then averaged over the window (a smooth attack that reaches the
+ * needed gain exactly when the peak comes out of the delay).
+ */
+const LIMITER_LOOKAHEAD_S = 0.005;
+
+class Limiter {
+    constructor(sampleRate, channels, { ceiling = -1, lookahead = LIMITER_LOOKAHEAD_S, release = 0.1 } = {}) {
+        this.length = Math.max(1, Math.round(lookahead * sampleRate));
+        this.ceiling = Math.pow(10, ceiling / 20);
+        this.enabled = true;
+        this.releaseCoef = 1 - Math.exp(-1 / (release * sampleRate));
+
+        this.delay = Array.from({ length: channels }, () => new Float32Array(this.length));
+        this.smooth = new Float32Array(this.length).fill(1); // Gains being averaged
+        this.sum = this.length; // Their sum
+        this.pos = 0;
+        this.envelope = 1;
+
+        // Sliding minimum of the needed gain (monotonic queue over the last length + 1 samples)
+        this.capacity = this.length + 2;
+        this.queueGain = new Float32Array(this.capacity);
+        this.queueAt = new Float64Array(this.capacity);
+        this.head = 0;
+        this.size = 0;
+        this.frame = 0;
+
+        this.reduction = 1; // Lowest gain applied since resetReduction()
+    }
+
+    setCeiling(db) {
+        this.ceiling = Math.pow(10, db / 20);
+    }
+
+    resetReduction() {
+        const db = 20 * Math.log10(this.reduction);
+        this.reduction = 1;
+        return db;
+    }
+
+    /**
+     * Limit `frames` samples of each channel from inputs into outputs (may be the same arrays).
+     * Channels missing from inputs are treated as silence.
+     */
+    process(inputs, outputs, frames) {
+        const channels = this.delay.length;
+        const length = this.length;
+        for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let ch = 0; ch < channels; ch++) {
+                const input = inputs[ch];
+                const x = input ? input[i] : 0;
+                if (x > peak) peak = x;
+                else if (-x > peak) peak = -x;
+            }
+            const needed = this.enabled && peak > this.ceiling ? this.ceiling / peak : 1;
+
+            // Sliding minimum
+            while (this.size > 0 && this.queueGain[(this.head + this.size - 1) % this.capacity] >= needed) this.size--;
+            const tail = (this.head + this.size) % this.capacity;
+            this.queueGain[tail] = needed;
+            this.queueAt[tail] = this.frame;
+            this.size++;
+            if (this.queueAt[this.head] < this.frame - length) {
+                this.head = (this.head + 1) % this.capacity;
+                this.size--;
+            }
+            const hold = this.queueGain[this.head];
+
+            this.envelope = Math.min(hold, this.envelope + (1 - this.envelope) * this.releaseCoef);
+            this.sum += this.envelope - this.smooth[this.pos];
+            this.smooth[this.pos] = this.envelope;
+            const gain = Math.min(1, this.sum / length);
+            if (gain < this.reduction) this.reduction = gain;
+
+            for (let ch = 0; ch < channels; ch++) {
+                const line = this.delay[ch];
+                const input = inputs[ch];
+                const delayed = line[this.pos];
+                line[this.pos] = input ? input[i] : 0;
+                if (outputs[ch]) outputs[ch][i] = delayed * gain;
+            }
+            this.pos = (this.pos + 1) % length;
+            this.frame++;
+        }
+    }
+}
+
+if (typeof registerProcessor === 'function') {
+    class LimiterProcessor extends AudioWorkletProcessor {
+        constructor() {
+            super();
+            this.limiter = new Limiter(sampleRate, 2);
+            this.reportEvery = Math.round(sampleRate / 20); // 20 reports a second for the meter
+            this.sinceReport = 0;
+
+            this.port.onmessage = (e) => {
+                const { ceiling, enabled } = e.data;
+                if (ceiling !== undefined) this.limiter.setCeiling(ceiling);
+                if (enabled !== undefined) this.limiter.enabled = enabled;
+            };
+        }
+
+        process(inputs, outputs) {
+            const input = inputs[0] || [];
+            const output = outputs[0];
+            if (!output || !output[0]) return true;
+
+            // A mono input feeds both sides
+            this.limiter.process([input[0], input[1] || input[0]], output, output[0].length);
+
+            this.sinceReport += output[0].length;
+            if (this.sinceReport >= this.reportEvery) {
+                this.sinceReport = 0;
+                this.port.postMessage({ type: 'reduction', db: this.limiter.resetReduction() });
+            }
+            return true;
+        }
+    }
+
+    registerProcessor('limiter-processor', LimiterProcessor);
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { Limiter, LIMITER_LOOKAHEAD_S };
+}
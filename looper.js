@@ -0,0 +1,4131 @@
+/**
+ * Web Sampler - Looper Engine
+ * Audio only: recording, looping, mixing, effects, history and export. No DOM access,
+ * so it can be embedded in another UI or driven from tests (see test/).
+ * Loads as a plain script (globals for script.js) or as a CommonJS module in Node.
+ */
+
+/**
+ * Mixer settings for one track (the master loop or an overdub layer).
+ * Once attached to a context it also owns the live effects -> gain -> pan nodes.
+ */
+class ChannelStrip {
+    constructor(settings = {}) {
+        this.volume = settings.volume ?? 1;
+        this.pan = settings.pan ?? 0;
+        this.muted = settings.muted ?? false;
+        this.solo = settings.solo ?? false;
+        this.fade = settings.fade ?? 1; // Feedback-mode decay, multiplies volume
+        this.fx = new EffectChain(settings.effects);
+
+        this.nodes = null; // Live nodes (playback context only)
+    }
+
+    settings() {
+        return {
+            volume: this.volume, pan: this.pan, muted: this.muted, solo: this.solo, fade: this.fade,
+            effects: this.fx.settings()
+        };
+    }
+
+    // Load saved settings into this strip (live nodes catch up on the next update())
+    apply(settings) {
+        const { effects, ...rest } = settings;
+        Object.assign(this, rest);
+        if (effects) this.fx = new EffectChain(effects);
+    }
+
+    get level() {
+        return this.volume * this.fade;
+    }
+
+    /**
+     * Build an effects -> gain -> pan chain in any context (live or offline) and route it to destination.
+     * Returns the node sources should connect to.
+     */
+    createNodes(ctx, destination, audible) {
+        const effects = this.fx.createNodes(ctx);
+        const gain = ctx.createGain();
+        const panner = ctx.createStereoPanner();
+        gain.gain.value = audible ? this.level : 0;
+        panner.pan.value = this.pan;
+        effects.output.connect(gain);
+        gain.connect(panner);
+        panner.connect(destination);
+        return { input: effects.input, effects, gain, panner };
+    }
+
+    attach(ctx, destination, audible) {
+        if (!this.nodes) this.nodes = this.createNodes(ctx, destination, audible);
+        return this.nodes.input;
+    }
+
+    // Apply current settings to the live nodes without interrupting playback
+    update(ctx, audible) {
+        if (!this.nodes) return;
+        const t = ctx.currentTime;
+        this.nodes.gain.gain.setTargetAtTime(audible ? this.level : 0, t, 0.01);
+        this.nodes.panner.pan.setTargetAtTime(this.pan, t, 0.01);
+        this.fx.update(ctx, this.nodes.effects);
+    }
+
+    detach() {
+        if (!this.nodes) return;
+        this.nodes.effects.output.disconnect();
+        this.nodes.gain.disconnect();
+        this.nodes.panner.disconnect();
+        this.nodes = null;
+    }
+}
+
+// === EFFECTS ===
+
+// Set an AudioParam now (building nodes) or glide to it (live changes, no zipper noise)
+const setParam = (param, value, ctx, immediate) => {
+    if (immediate) param.value = value;
+    else param.setTargetAtTime(value, ctx.currentTime, 0.01);
+};
+
+// Deterministic noise (mulberry32), so a reverb sounds the same live and in the export
+const seededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Algorithmic reverb impulse: stereo noise with a power-curve decay
+const reverbImpulse = (ctx, seconds, decay) => {
+    const length = Math.max(1, Math.round(ctx.sampleRate * seconds));
+    const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+    for (let ch = 0; ch < 2; ch++) {
+        const random = seededRandom(ch + 1);
+        const data = impulse.getChannelData(ch);
+        for (let i = 0; i < length; i++) data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+    return impulse;
+};
+
+// Soft-clipping curve; amount 0 is clean
+const distortionCurve = (amount) => {
+    const k = amount * 100;
+    const curve = new Float32Array(2048);
+    for (let i = 0; i < curve.length; i++) {
+        const x = i * 2 / (curve.length - 1) - 1;
+        curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+    }
+    return curve;
+};
+
+/**
+ * Insert effect types. `params` describes each control ({ min, max, step, value } or
+ * { choices, value }); `build(ctx)` creates the nodes in any context (live or offline)
+ * and returns { input, output, set(params, ctx, immediate) }.
+ * `tail` marks effects that ring past the end of the loop (delay, reverb).
+ */
+const EFFECTS = {
+    filter: {
+        label: 'Filter',
+        params: {
+            mode: { choices: ['lowpass', 'highpass', 'bandpass'], value: 'lowpass' },
+            frequency: { min: 20, max: 20000, step: 1, value: 2000 },
+            q: { min: 0.1, max: 20, step: 0.1, value: 1 }
+        },
+        build(ctx) {
+            const filter = ctx.createBiquadFilter();
+            return {
+                input: filter,
+                output: filter,
+                set(p, ctx, immediate) {
+                    filter.type = p.mode;
+                    setParam(filter.frequency, p.frequency, ctx, immediate);
+                    setParam(filter.Q, p.q, ctx, immediate);
+                }
+            };
+        }
+    },
+    delay: {
+        label: 'Delay',
+        tail: true,
+        params: {
+            time: { min: 0.01, max: 2, step: 0.01, value: 0.375 },
+            feedback: { min: 0, max: 0.95, step: 0.01, value: 0.4 },
+            mix: { min: 0, max: 1, step: 0.01, value: 0.35 }
+        },
+        build(ctx) {
+            const input = ctx.createGain();
+            const output = ctx.createGain();
+            const delay = ctx.createDelay(2);
+            const feedback = ctx.createGain();
+            const wet = ctx.createGain();
+            input.connect(output);
+            input.connect(delay);
+            delay.connect(feedback);
+            feedback.connect(delay);
+            delay.connect(wet);
+            wet.connect(output);
+            return {
+                input,
+                output,
+                set(p, ctx, immediate) {
+                    setParam(delay.delayTime, p.time, ctx, immediate);
+                    setParam(feedback.gain, p.feedback, ctx, immediate);
+                    setParam(wet.gain, p.mix, ctx, immediate);
+                }
+            };
+        }
+    },
+    reverb: {
+        label: 'Reverb',
+        tail: true,
+        params: {
+            size: { min: 0.1, max: 6, step: 0.1, value: 2 },
+            decay: { min: 0.5, max: 10, step: 0.1, value: 3 },
+            mix: { min: 0, max: 1, step: 0.01, value: 0.3 }
+        },
+        build(ctx) {
+            const input = ctx.createGain();
+            const output = ctx.createGain();
+            const convolver = ctx.createConvolver();
+            const wet = ctx.createGain();
+            let impulse = null; // "size:decay" of the current impulse
+            input.connect(output);
+            input.connect(convolver);
+            convolver.connect(wet);
+            wet.connect(output);
+            return {
+                input,
+                output,
+                set(p, ctx, immediate) {
+                    // Regenerating the impulse is expensive: only when its shape changed
+                    if (impulse !== `${p.size}:${p.decay}`) {
+                        impulse = `${p.size}:${p.decay}`;
+                        convolver.buffer = reverbImpulse(ctx, p.size, p.decay);
+                    }
+                    setParam(wet.gain, p.mix, ctx, immediate);
+                }
+            };
+        }
+    },
+    distortion: {
+        label: 'Distortion',
+        params: {
+            drive: { min: 0, max: 1, step: 0.01, value: 0.3 },
+            output: { min: 0, max: 1, step: 0.01, value: 0.5 }
+        },
+        build(ctx) {
+            const shaper = ctx.createWaveShaper();
+            const output = ctx.createGain();
+            let drive = null;
+            shaper.oversample = '4x';
+            shaper.connect(output);
+            return {
+                input: shaper,
+                output,
+                set(p, ctx, immediate) {
+                    if (drive !== p.drive) {
+                        drive = p.drive;
+                        shaper.curve = distortionCurve(p.drive);
+                    }
+                    setParam(output.gain, p.output, ctx, immediate);
+                }
+            };
+        }
+    },
+    compressor: {
+        label: 'Compressor',
+        params: {
+            threshold: { min: -60, max: 0, step: 1, value: -24 },
+            ratio: { min: 1, max: 20, step: 0.5, value: 4 },
+            attack: { min: 0, max: 0.2, step: 0.001, value: 0.003 },
+            release: { min: 0.01, max: 1, step: 0.01, value: 0.25 },
+            makeup: { min: 0, max: 4, step: 0.05, value: 1 }
+        },
+        build(ctx) {
+            const compressor = ctx.createDynamicsCompressor();
+            const makeup = ctx.createGain();
+            compressor.connect(makeup);
+            return {
+                input: compressor,
+                output: makeup,
+                set(p, ctx, immediate) {
+                    setParam(compressor.threshold, p.threshold, ctx, immediate);
+                    setParam(compressor.ratio, p.ratio, ctx, immediate);
+                    setParam(compressor.attack, p.attack, ctx, immediate);
+                    setParam(compressor.release, p.release, ctx, immediate);
+                    setParam(makeup.gain, p.makeup, ctx, immediate);
+                }
+            };
+        }
+    }
+};
+
+/**
+ * One insert effect: its type, bypass switch and parameter values.
+ * Bypass crossfades between a dry path and the effect so it can flip while playing.
+ */
+class Effect {
+    constructor(settings = {}) {
+        this.type = settings.type;
+        this.bypass = settings.bypass ?? false;
+        this.params = {};
+        Object.entries(EFFECTS[this.type].params).forEach(([name, spec]) => {
+            this.params[name] = settings.params?.[name] ?? spec.value;
+        });
+    }
+
+    settings() {
+        return { type: this.type, bypass: this.bypass, params: { ...this.params } };
+    }
+
+    createNodes(ctx) {
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+        const dry = ctx.createGain();
+        const wet = ctx.createGain();
+        const fx = EFFECTS[this.type].build(ctx);
+        input.connect(dry);
+        dry.connect(output);
+        input.connect(fx.input);
+        fx.output.connect(wet);
+        wet.connect(output);
+
+        const nodes = { input, output, dry, wet, fx };
+        this.update(ctx, nodes, true);
+        return nodes;
+    }
+
+    update(ctx, nodes, immediate = false) {
+        setParam(nodes.dry.gain, this.bypass ? 1 : 0, ctx, immediate);
+        setParam(nodes.wet.gain, this.bypass ? 0 : 1, ctx, immediate);
+        nodes.fx.set(this.params, ctx, immediate);
+    }
+}
+
+/**
+ * An ordered list of effects: input -> effect 1 -> ... -> output.
+ * Used as the insert rack of each channel strip and on the output bus.
+ */
+class EffectChain {
+    constructor(effects = []) {
+        this.effects = effects.map(settings => new Effect(settings));
+    }
+
+    settings() {
+        return this.effects.map(fx => fx.settings());
+    }
+
+    // Anything still ringing when the loop wraps
+    get hasTail() {
+        return this.effects.some(fx => !fx.bypass && EFFECTS[fx.type].tail);
+    }
+
+    // Which effect types are wired, in order: a change means rebuilding the nodes
+    get layout() {
+        return this.effects.map(fx => fx.type).join(',');
+    }
+
+    createNodes(ctx) {
+        const nodes = { input: ctx.createGain(), output: ctx.createGain(), effects: [], layout: null };
+        this.wire(ctx, nodes);
+        return nodes;
+    }
+
+    wire(ctx, nodes) {
+        nodes.input.disconnect();
+        nodes.effects.forEach(fxNodes => fxNodes.output.disconnect());
+        nodes.effects = this.effects.map(fx => fx.createNodes(ctx));
+        nodes.layout = this.layout;
+
+        let last = nodes.input;
+        nodes.effects.forEach(fxNodes => {
+            last.connect(fxNodes.input);
+            last = fxNodes.output;
+        });
+        last.connect(nodes.output);
+    }
+
+    // Parameters glide live; adding/removing/reordering effects rebuilds the chain
+    update(ctx, nodes) {
+        if (nodes.layout !== this.layout) this.wire(ctx, nodes);
+        else this.effects.forEach((fx, i) => fx.update(ctx, nodes.effects[i]));
+    }
+}
+
+/**
+ * Click track driven by the audio clock (lookahead scheduler).
+ * Routed straight to the speakers, never through the mixer, so it stays out of recordings and export.
+ */
+class Metronome {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.bpm = 120;
+        this.beatsPerBar = 4;
+        this.volume = 0.5;
+
+        this.timer = null;
+        this.nextBeatTime = 0;
+        this.beatIndex = 0;
+        this.lookahead = 0.1; // seconds scheduled ahead of the clock
+        this.interval = 25; // ms between scheduler runs
+    }
+
+    get beatDuration() {
+        return 60 / this.bpm;
+    }
+
+    get barDuration() {
+        return this.beatDuration * this.beatsPerBar;
+    }
+
+    get isRunning() {
+        return this.timer !== null;
+    }
+
+    // Start clicking with beat 1 of bar 1 at anchorTime (audio clock)
+    start(anchorTime) {
+        this.stop();
+        this.beatIndex = 0;
+        this.nextBeatTime = anchorTime;
+        // Catch up if the anchor is already in the past (e.g. resuming mid-loop)
+        while (this.nextBeatTime < this.ctx.currentTime) {
+            this.nextBeatTime += this.beatDuration;
+            this.beatIndex++;
+        }
+        this.schedule();
+        this.timer = setInterval(() => this.schedule(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        while (this.nextBeatTime < this.ctx.currentTime + this.lookahead) {
+            this.click(this.nextBeatTime, this.beatIndex % this.beatsPerBar === 0);
+            this.nextBeatTime += this.beatDuration;
+            this.beatIndex++;
+        }
+    }
+
+    click(time, accent) {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.frequency.value = accent ? 1500 : 1000;
+        env.gain.setValueAtTime(this.volume, time);
+        env.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        osc.connect(env);
+        env.connect(this.ctx.destination);
+        osc.start(time);
+        osc.stop(time + 0.06);
+    }
+}
+
+/**
+ * Peak/RMS level of a signal, read on demand (e.g. once per animation frame).
+ * Each channel gets its own analyser, so a clip on one side isn't averaged away.
+ * `clipped` latches until resetClip() so a brief over can't be missed.
+ */
+class LevelMeter {
+    constructor(ctx, channels = 2) {
+        this.input = ctx.createChannelSplitter(channels);
+        this.analysers = Array.from({ length: channels }, (_, ch) => {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 2048;
+            this.input.connect(analyser, ch);
+            return analyser;
+        });
+        this.samples = new Float32Array(2048);
+        this.clipped = false;
+    }
+
+    // Linear levels (1 = full scale) of the loudest channel
+    read() {
+        let peak = 0;
+        let rms = 0;
+        this.analysers.forEach(analyser => {
+            analyser.getFloatTimeDomainData(this.samples);
+            let sum = 0;
+            for (let i = 0; i < this.samples.length; i++) {
+                const v = this.samples[i];
+                peak = Math.max(peak, Math.abs(v));
+                sum += v * v;
+            }
+            rms = Math.max(rms, Math.sqrt(sum / this.samples.length));
+        });
+        if (peak >= 1) this.clipped = true;
+        return { peak, rms, clipped: this.clipped };
+    }
+
+    resetClip() {
+        this.clipped = false;
+    }
+}
+
+// Short unique id for sessions and stored buffers
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+// === PROJECT FILES ===
+// A project file is a plain (stored, uncompressed) ZIP holding manifest.json and
+// audio/<id>.f32 per buffer: raw little-endian float32, one channel after another.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP (store method, no compression) from [{ name, data: Uint8Array }].
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // local file header signature
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // flags: UTF-8 names
+        local.setUint16(8, 0, true); // method: store
+        local.setUint16(12, 0x21, true); // DOS date: 1980-01-01 (0 is not a valid date)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true); // compressed size
+        local.setUint32(22, file.data.length, true); // uncompressed size
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true); // central directory signature
+        entry.setUint16(4, 20, true); // version made by
+        entry.setUint16(6, 20, true); // version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true); // local header offset
+        central.push(entry, name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Read a stored (uncompressed) ZIP into a Map of name -> Uint8Array.
+ */
+function readZip(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const decoder = new TextDecoder();
+
+    let end = arrayBuffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error("Not a ZIP file");
+
+    const files = new Map();
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pos, true) !== 0x02014b50) throw new Error("Corrupt ZIP directory");
+        const method = view.getUint16(pos + 10, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(arrayBuffer, pos + 46, nameLength));
+        if (method !== 0) throw new Error(`Compressed ZIP entries are not supported (${name})`);
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        files.set(name, new Uint8Array(arrayBuffer, dataStart, size));
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+// Every buffer description in a manifest: master first, then each scene's layers
+const manifestBuffers = (manifest) => [manifest.master, ...manifest.scenes.flatMap(scene => scene.layers)];
+
+function packProject({ manifest, audio }) {
+    const files = [{ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }];
+    manifestBuffers(manifest).forEach(info => {
+        const channels = audio.get(info.id);
+        const bytes = new Uint8Array(info.length * info.channels * 4);
+        channels.forEach((data, ch) => {
+            bytes.set(new Uint8Array(data.buffer, data.byteOffset, info.length * 4), ch * info.length * 4);
+        });
+        files.push({ name: `audio/${info.id}.f32`, data: bytes });
+    });
+    return createZip(files);
+}
+
+function unpackProject(arrayBuffer) {
+    const files = readZip(arrayBuffer);
+    const manifestFile = files.get('manifest.json');
+    if (!manifestFile) throw new Error("manifest.json missing");
+    const manifest = JSON.parse(new TextDecoder().decode(manifestFile));
+    if (manifest.format !== 'web-sampler-session') throw new Error("Not a Web Sampler project");
+
+    const audio = new Map();
+    manifestBuffers(manifest).forEach(info => {
+        const file = files.get(`audio/${info.id}.f32`);
+        if (!file || file.length !== info.length * info.channels * 4) throw new Error(`Audio for ${info.id} missing`);
+        const samples = new Float32Array(file.slice().buffer); // copy: ZIP entries are not 4-byte aligned
+        const channels = [];
+        for (let ch = 0; ch < info.channels; ch++) {
+            channels.push(samples.subarray(ch * info.length, (ch + 1) * info.length));
+        }
+        audio.set(info.id, channels);
+    });
+    return { manifest, audio };
+}
+
+// === HISTORY ===
+
+/**
+ * Undo/redo stacks of engine snapshots (see Looper.snapshot()).
+ * Snapshots share AudioBuffers with the live state, so only buffers that are no longer
+ * in use cost memory. Those are kept under maxBytes by dropping the oldest entries.
+ */
+class History {
+    constructor(maxBytes = 256 * 1024 * 1024) {
+        this.maxBytes = maxBytes;
+        this.undoStack = []; // { label, before, after, key, time }
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Add a step. Steps with the same key in quick succession (e.g. one slider drag)
+     * merge into one.
+     */
+    record(label, before, after, key, liveBuffers) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+        if (key && top && top.key === key && now - top.time < 1000) {
+            top.after = after;
+            top.time = now;
+        } else {
+            this.undoStack.push({ label, before, after, key, time: now });
+        }
+        this.redoStack = [];
+        this.trim(liveBuffers);
+    }
+
+    // Snapshot to restore, or null
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        return entry.before;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        return entry.after;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Bytes of audio only the history still holds on to
+    retainedBytes(liveBuffers) {
+        const seen = new Set();
+        let bytes = 0;
+        [...this.undoStack, ...this.redoStack].forEach(entry => {
+            [entry.before, entry.after].forEach(snap => {
+                snap.strips.forEach((settings, buffer) => {
+                    if (liveBuffers.has(buffer) || seen.has(buffer)) return;
+                    seen.add(buffer);
+                    bytes += buffer.length * buffer.numberOfChannels * 4;
+                });
+            });
+        });
+        return bytes;
+    }
+
+    trim(liveBuffers) {
+        while (this.retainedBytes(liveBuffers) > this.maxBytes) {
+            if (this.undoStack.length > 0) {
+                this.undoStack.shift(); // Oldest undo step first
+            } else if (this.redoStack.length > 0) {
+                this.redoStack.shift(); // Then the furthest redo step
+            } else {
+                break;
+            }
+        }
+    }
+}
+
+// === LATENCY CALIBRATION HELPERS ===
+
+/**
+ * Find onsets in a signal: the first sample over threshold after at least
+ * `holdoff` quiet samples. Returns sample indices.
+ */
+function detectOnsets(samples, { threshold = 0.1, holdoff = 2048 } = {}) {
+    const onsets = [];
+    let lastLoud = -Infinity;
+    for (let i = 0; i < samples.length; i++) {
+        if (Math.abs(samples[i]) < threshold) continue;
+        if (i - lastLoud > holdoff) onsets.push(i);
+        lastLoud = i;
+    }
+    return onsets;
+}
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+// === LOOP EDGES ===
+// Clean loop boundaries for recorded takes (see Looper.loopEdges)
+
+const EDGE_WINDOW_S = 0.01; // Level analysis resolution
+const EDGE_THRESHOLD = 0.003; // ~-50 dBFS RMS: quieter than this is silence
+const THUMP_ZONE_S = 0.25; // A button thump sits this close to either end...
+const THUMP_MAX_S = 0.08; // ...is at most this long...
+const THUMP_GAP_S = 0.05; // ...and has this much silence between it and the playing
+const ZERO_CROSSING_RADIUS_S = 0.005; // How far a loop point may move to reach a zero crossing
+const LOOP_CROSSFADE_S = 0.01; // At the wrap of a new master
+const PUNCH_FADE_S = 0.005; // At the edges of an overdub
+
+/**
+ * Where the playing in a take starts and ends: { start, end } in samples, with silence
+ * and button thumps (a short burst near an end, set apart by silence) left out.
+ * keepStart leaves the start alone (a threshold-triggered take already starts on the playing).
+ * Returns the whole take when it is all silence.
+ */
+function findContent(channels, sampleRate, { keepStart = false } = {}) {
+    const length = channels[0].length;
+    const size = Math.max(1, Math.round(EDGE_WINDOW_S * sampleRate));
+    const windows = Math.ceil(length / size);
+    const active = [];
+    for (let w = 0; w < windows; w++) {
+        let sum = 0;
+        const from = w * size;
+        const to = Math.min(length, from + size);
+        channels.forEach(data => {
+            for (let i = from; i < to; i++) sum += data[i] * data[i];
+        });
+        active.push(Math.sqrt(sum / ((to - from) * channels.length)) >= EDGE_THRESHOLD);
+    }
+
+    // Runs of active windows: [first, last]
+    const runs = [];
+    active.forEach((on, w) => {
+        if (!on) return;
+        const last = runs[runs.length - 1];
+        if (last && last[1] === w - 1) last[1] = w;
+        else runs.push([w, w]);
+    });
+    if (runs.length === 0) return { start: 0, end: length };
+
+    const toWindows = (seconds) => Math.round(seconds * sampleRate / size);
+    const isThump = (run, gap, distance) => run[1] - run[0] + 1 <= toWindows(THUMP_MAX_S) &&
+        gap >= toWindows(THUMP_GAP_S) && distance <= toWindows(THUMP_ZONE_S);
+    while (runs.length > 1 && isThump(runs[0], runs[1][0] - runs[0][1] - 1, runs[0][0])) runs.shift();
+    while (runs.length > 1 && isThump(runs[runs.length - 1], runs[runs.length - 1][0] - runs[runs.length - 2][1] - 1,
+        windows - 1 - runs[runs.length - 1][1])) runs.pop();
+
+    // One window of margin keeps the attack and the last of the decay
+    const start = keepStart ? 0 : Math.max(0, (runs[0][0] - 1) * size);
+    const end = Math.min(length, (runs[runs.length - 1][1] + 2) * size);
+    return { start, end };
+}
+
+/**
+ * The zero crossing (of the mono mix) nearest `index` within `radius` samples, or index
+ * when there is none. Loop points there don't cut into a waveform.
+ */
+function nearestZeroCrossing(channels, index, radius) {
+    const length = channels[0].length;
+    const mono = (i) => channels.reduce((sum, data) => sum + data[i], 0);
+    for (let d = 0; d <= radius; d++) {
+        for (const i of d === 0 ? [index] : [index - d, index + d]) {
+            if (i < 1 || i >= length) continue;
+            const a = mono(i - 1);
+            const b = mono(i);
+            if (b === 0 || (a < 0) !== (b < 0)) return Math.abs(a) < Math.abs(b) ? i - 1 : i;
+        }
+    }
+    return index;
+}
+
+/**
+ * Copy [start, end) of each channel as a loop (zero-padded past the data), crossfading its
+ * wrap over `fade` samples: audio recorded past the end fades out over the start, or else
+ * audio from before the start fades in under the end, so the wrap carries on seamlessly.
+ * With neither to blend with, both ends get short fades.
+ */
+function loopSegment(channels, start, end, fade) {
+    const length = end - start;
+    fade = Math.min(fade, Math.floor(length / 2));
+    const curve = (i) => Math.sin((i + 0.5) / fade * Math.PI / 2); // Equal-power fade-in
+    return channels.map(data => {
+        const out = new Float32Array(length);
+        out.set(data.subarray(start, Math.min(end, data.length)));
+        if (fade === 0) return out;
+        if (data.length - end >= fade) {
+            for (let i = 0; i < fade; i++) out[i] = out[i] * curve(i) + data[end + i] * curve(fade - 1 - i);
+        } else if (start >= fade) {
+            for (let i = 0; i < fade; i++) {
+                const j = length - fade + i;
+                out[j] = out[j] * curve(fade - 1 - i) + data[start - fade + i] * curve(i);
+            }
+        } else {
+            for (let i = 0; i < fade; i++) {
+                out[i] *= curve(i);
+                out[length - 1 - i] *= curve(i);
+            }
+        }
+        return out;
+    });
+}
+
+// Gain at sample i of a `length`-sample punch-in with `fade`-sample linear ramps at both ends
+const punchGain = (i, length, fade) => fade > 0 ? Math.min(1, (i + 0.5) / fade, (length - i - 0.5) / fade) : 1;
+
+// === TIME STRETCH / PITCH SHIFT ===
+// Offline WSOLA (waveform-similarity overlap-add). Every buffer is one loop, so reads and
+// writes wrap around: the stretched loop stays seamless at its boundary.
+
+/**
+ * Time-stretch loop channels to `outLength` frames without changing pitch.
+ * Grains are matched on a mono mix, so all channels get the same cuts and stay in phase.
+ */
+function wsolaStretch(channels, outLength, sampleRate) {
+    const inLength = channels[0].length;
+    const factor = outLength / inLength;
+    const size = 2 * Math.round(0.02 * sampleRate); // ~40 ms grains
+    const hop = size / 2; // 50% overlap on the output side
+    const tolerance = Math.round(size / 4); // How far a grain may move to line up
+    const wrap = (i) => ((i % inLength) + inLength) % inLength;
+
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    // Mono mix, extended past the end with the start of the loop so matching needs no wrapping
+    const mono = new Float32Array(inLength + size + 2 * tolerance);
+    channels.forEach(data => {
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i % inLength];
+    });
+
+    // Shift of the grain at `nominal` whose overlap best continues the grain that followed the last one
+    const bestShift = (natural, nominal) => {
+        const a = wrap(natural);
+        const from = wrap(nominal - tolerance);
+        let best = 0;
+        let bestScore = -Infinity;
+        for (let shift = 0; shift <= 2 * tolerance; shift += 2) {
+            let score = 0;
+            for (let i = 0, b = from + shift; i < hop; i += 4) score += mono[a + i] * mono[b + i];
+            if (score > bestScore) {
+                bestScore = score;
+                best = shift - tolerance;
+            }
+        }
+        return best;
+    };
+
+    const out = channels.map(() => new Float32Array(outLength));
+    const norm = new Float32Array(outLength);
+    let previous = 0;
+    for (let outPos = 0; outPos < outLength; outPos += hop) {
+        let pos = Math.round(outPos / factor);
+        if (outPos > 0) pos += bestShift(previous + hop, pos);
+        for (let i = 0; i < size; i++) {
+            const o = (outPos + i) % outLength;
+            const src = wrap(pos + i);
+            out.forEach((data, ch) => { data[o] += channels[ch][src] * window[i]; });
+            norm[o] += window[i];
+        }
+        previous = pos;
+    }
+    out.forEach(data => {
+        for (let i = 0; i < outLength; i++) if (norm[i] > 1e-3) data[i] /= norm[i];
+    });
+    return out;
+}
+
+// Read a loop at a different rate (linear interpolation), so it plays `outLength` frames long
+function resampleLoop(data, outLength) {
+    const out = new Float32Array(outLength);
+    const step = data.length / outLength;
+    for (let i = 0; i < outLength; i++) {
+        const x = i * step;
+        const i0 = Math.floor(x);
+        const frac = x - i0;
+        out[i] = data[i0 % data.length] * (1 - frac) + data[(i0 + 1) % data.length] * frac;
+    }
+    return out;
+}
+
+/**
+ * Play a loop channel `speed` times as fast, tape-style, reading from `start`: at double
+ * speed the audio repeats twice per loop, at half speed only its first half fits.
+ */
+function varispeedLoop(data, start, speed) {
+    const length = data.length;
+    const rotated = new Float32Array(length);
+    for (let i = 0; i < length; i++) rotated[i] = data[(start + i) % length];
+    const played = resampleLoop(rotated, Math.round(length / speed));
+    const out = new Float32Array(length);
+    for (let i = 0; i < length; i++) out[(start + i) % length] = played[i % played.length];
+    return out;
+}
+
+/**
+ * Stretch loop channels to `outLength` frames and shift their pitch by `semitones`:
+ * stretch to outLength x pitch ratio, then read that back faster (or slower) to outLength.
+ */
+function stretchLoop(channels, outLength, semitones, sampleRate) {
+    const pitch = Math.pow(2, semitones / 12);
+    if (pitch === 1) return wsolaStretch(channels, outLength, sampleRate);
+    return wsolaStretch(channels, Math.round(outLength * pitch), sampleRate).map(data => resampleLoop(data, outLength));
+}
+
+// === MASTERING ===
+
+// The limiter DSP is shared with the live worklet: the page loads limiter-worklet.js as a script
+if (typeof Limiter === 'undefined' && typeof require === 'function') {
+    ({ Limiter: globalThis.Limiter, LIMITER_LOOKAHEAD_S: globalThis.LIMITER_LOOKAHEAD_S } = require('./limiter-worklet'));
+}
+
+// K-weighting (ITU-R BS.1770-4): a high shelf then a high pass, as biquads for any sample rate
+function kWeightingFilters(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = { b: [1, -2, 1], a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0] };
+    return [shelf, highPass];
+}
+
+function biquad(data, { b, a }) {
+    const out = new Float32Array(data.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < data.length; i++) {
+        const x = data[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        out[i] = y;
+    }
+    return out;
+}
+
+/**
+ * Highest peak between the samples of a loop (dBTP): 4x oversampled with a windowed sinc,
+ * wrapping around the loop end.
+ */
+function truePeak(channels) {
+    const TAPS = 12;
+    const half = TAPS / 2;
+    const PHASES = 3; // Points between two samples
+    const kernels = new Float32Array(PHASES * TAPS);
+    for (let p = 0; p < PHASES; p++) {
+        const frac = (p + 1) / (PHASES + 1);
+        let sum = 0;
+        for (let k = 0; k < TAPS; k++) {
+            const t = k - half + 1 - frac; // Distance from the interpolated point to sample i + k - half + 1
+            const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+            kernels[p * TAPS + k] = sinc * (0.5 + 0.5 * Math.cos(Math.PI * t / half));
+            sum += kernels[p * TAPS + k];
+        }
+        for (let k = 0; k < TAPS; k++) kernels[p * TAPS + k] /= sum;
+    }
+
+    let peak = 0;
+    channels.forEach(data => {
+        const n = data.length;
+        const ext = new Float32Array(n + TAPS);
+        for (let i = 0; i < ext.length; i++) ext[i] = data[((i - half + 1) % n + n) % n];
+        for (let i = 0; i < n; i++) {
+            const x = Math.abs(data[i]);
+            if (x > peak) peak = x;
+            for (let p = 0; p < PHASES * TAPS; p += TAPS) {
+                let y = 0;
+                for (let k = 0; k < TAPS; k++) y += ext[i + k] * kernels[p + k];
+                if (y > peak) peak = y;
+                else if (-y > peak) peak = -y;
+            }
+        }
+    });
+    return 20 * Math.log10(peak);
+}
+
+/**
+ * Loudness of a mix (ITU-R BS.1770-4 / EBU R128): integrated loudness in LUFS (400 ms
+ * blocks, 75% overlap, absolute and relative gates), true peak (dBTP), sample peak (dBFS)
+ * and how many samples are past full scale (they clip in a 16/24-bit file).
+ */
+function measureLoudness(channels, sampleRate) {
+    const filters = kWeightingFilters(sampleRate);
+    const length = channels[0].length;
+    const step = Math.round(0.1 * sampleRate);
+    const steps = Math.max(1, Math.floor(length / step));
+
+    // Mean square per 100 ms step, summed over channels (L/R weighted 1)
+    const power = new Float64Array(steps);
+    let samplePeak = 0;
+    let overs = 0;
+    channels.forEach(data => {
+        const weighted = biquad(biquad(data, filters[0]), filters[1]);
+        for (let i = 0; i < length; i++) {
+            const x = Math.abs(data[i]);
+            if (x > samplePeak) samplePeak = x;
+            if (x > 1) overs++;
+            const s = Math.min(steps - 1, Math.floor(i / step));
+            power[s] += weighted[i] * weighted[i];
+        }
+    });
+
+    const blockSteps = Math.min(4, steps); // Loops shorter than 400 ms are one block
+    const blocks = [];
+    for (let s = 0; s + blockSteps <= steps; s++) {
+        let sum = 0;
+        for (let k = 0; k < blockSteps; k++) sum += power[s + k];
+        blocks.push(sum / (blockSteps * step));
+    }
+    const lufs = (p) => -0.691 + 10 * Math.log10(p);
+    const mean = (list) => list.reduce((sum, p) => sum + p, 0) / list.length;
+    const audible = blocks.filter(p => lufs(p) > -70);
+    const relativeGate = audible.length ? lufs(mean(audible)) - 10 : Infinity;
+    const gated = audible.filter(p => lufs(p) > relativeGate);
+
+    return {
+        integrated: gated.length ? lufs(mean(gated)) : -Infinity,
+        truePeak: truePeak(channels),
+        samplePeak: 20 * Math.log10(samplePeak),
+        overs
+    };
+}
+
+/**
+ * Limit a loop in place, as it sounds on repeat: the limiter first settles on the previous
+ * pass (`period` samples of it; 0 for audio that does not loop), and its look-ahead delay
+ * is taken back out.
+ * Returns the deepest gain reduction in dB.
+ */
+function limitLoop(channels, sampleRate, ceiling, period = channels[0].length) {
+    const length = channels[0].length;
+    const limiter = new Limiter(sampleRate, channels.length, { ceiling });
+    const delay = limiter.length;
+    const warm = Math.min(length, period);
+    const ext = channels.map(data => {
+        const out = new Float32Array(warm + length + delay);
+        out.set(data.subarray(length - warm), 0);
+        out.set(data, warm);
+        if (period > 0) { // A one-off (period 0) ends in silence
+            for (let i = 0; i < delay; i++) out[warm + length + i] = data[i % length];
+        }
+        return out;
+    });
+    limiter.process(ext, ext, ext[0].length);
+    channels.forEach((data, ch) => data.set(ext[ch].subarray(warm + delay)));
+    return limiter.resetReduction();
+}
+
+// === PERFORMANCE RECORDING ===
+
+// Stitch capture-worklet chunks into one buffer covering exactly [startFrame, stopFrame); any gap stays silent
+function assembleFrames(ctx, chunks, startFrame, stopFrame) {
+    const length = Math.max(1, stopFrame - startFrame);
+    const numChannels = chunks.length > 0 ? chunks[0].channels.length : 1;
+    const buffer = ctx.createBuffer(numChannels, length, ctx.sampleRate);
+
+    chunks.forEach(chunk => {
+        const at = chunk.frame - startFrame;
+        const skip = Math.max(0, -at); // A threshold start can fall inside a chunk
+        chunk.channels.forEach((data, ch) => {
+            const count = Math.min(data.length - skip, length - at - skip);
+            if (ch < numChannels && count > 0) buffer.copyToChannel(data.subarray(skip, skip + count), ch, at + skip);
+        });
+    });
+    return buffer;
+}
+
+const PERFORMANCE_MAX_DURATION = 15 * 60; // Seconds; the raw capture is ~350 MB by then
+const PERFORMANCE_TAIL = 2; // Seconds rendered past the end for delay/reverb tails
+
+// Timeline actions, most telling first (names the entry when several land at once)
+const PERFORMANCE_ACTIONS = ['start', 'take', 'scene', 'play', 'stop', 'tracks', 'mix', 'state', 'end'];
+
+// Two timeline entries play their loops in step (play() after a take restarts at the same position)
+function samePhase(a, b) {
+    return Math.abs(a.loopStart - b.loopStart) < 0.001 && a.loopDuration === b.loopDuration;
+}
+
+/**
+ * A capture worklet of its own tapping `source`, for long recordings that run alongside takes.
+ */
+class FrameCapture {
+    constructor(ctx, source, channels) {
+        this.ctx = ctx;
+        this.source = source;
+        this.chunks = [];
+        this.startFrame = 0;
+        this.done = null;
+
+        this.node = new AudioWorkletNode(ctx, 'capture-processor', { channelCount: channels, channelCountMode: 'explicit' });
+        this.node.port.onmessage = (e) => {
+            if (e.data.type === 'frames') this.chunks.push(e.data);
+            else if (e.data.type === 'done' && this.done) this.done();
+        };
+        this.sink = ctx.createGain(); // Pulled by the graph, never heard
+        this.sink.gain.value = 0;
+        source.connect(this.node);
+        this.node.connect(this.sink);
+        this.sink.connect(ctx.destination);
+    }
+
+    start(frame) {
+        this.startFrame = frame;
+        this.node.port.postMessage({ command: 'start', frame });
+    }
+
+    // Resolves the recording up to (not including) frame, then lets go of the graph
+    stop(frame) {
+        return new Promise(resolve => {
+            this.done = () => {
+                this.done = null;
+                this.source.disconnect(this.node);
+                this.node.disconnect();
+                this.sink.disconnect();
+                resolve(assembleFrames(this.ctx, this.chunks, this.startFrame, frame));
+                this.chunks = [];
+            };
+            this.node.port.postMessage({ command: 'stop', frame });
+        });
+    }
+}
+
+/**
+ * Records a live set for Looper.startPerformance(): what came out of the speakers (raw PCM,
+ * plus a compressed copy where MediaRecorder can make one), the raw input, and a timeline
+ * of the mix after every engine action (play/stop, takes, scene switches, mixer and effect
+ * changes) so the whole set can be rendered again offline at full quality.
+ */
+class PerformanceRecorder {
+    constructor(looper, { includeInput = true } = {}) {
+        this.looper = looper;
+        this.includeInput = includeInput && !!looper.inputNode;
+        this.timeline = [];
+        this.scene = looper.activeScene;
+        this.sceneTime = null; // When a queued scene switch lands (the engine commits it a frame later)
+        this.unsubscribe = [];
+        this.live = null;
+        this.input = null;
+        this.recorder = null;
+        this.recorderChunks = [];
+        this.tap = null;
+        this.startTime = 0;
+    }
+
+    start() {
+        const looper = this.looper;
+        const ctx = looper.ctx;
+        const sampleRate = ctx.sampleRate;
+        this.startTime = ctx.currentTime;
+
+        // What the room hears: the limited mix, plus the player when their input is included
+        this.tap = ctx.createGain();
+        looper.limiterNode.connect(this.tap);
+        if (this.includeInput) looper.inputNode.connect(this.tap);
+
+        if (looper.captureNode) {
+            this.live = new FrameCapture(ctx, this.tap, 2);
+            this.live.start(Math.round(this.startTime * sampleRate));
+            if (this.includeInput) {
+                // Latency-compensated like a take, so it lines up with the loops in the render
+                this.input = new FrameCapture(ctx, looper.inputNode, looper.inputSettings.channels);
+                this.input.start(Math.round((this.startTime + looper.latencyCompensationS) * sampleRate));
+            }
+        }
+        this.startCompressed();
+
+        this.mark('start');
+        this.unsubscribe = [
+            looper.on('state', (state) => this.mark(state === 'PLAYING' ? 'play' : state === 'STOPPED' ? 'stop' : 'state')),
+            looper.on('layeradded', () => this.mark('take')),
+            looper.on('tracks', () => this.mark('tracks')),
+            looper.on('session', () => this.mark('mix')),
+            looper.on('scene', () => {
+                if (looper.pendingScene !== null) this.sceneTime = looper.pendingSceneTime;
+                this.mark('scene');
+            })
+        ];
+    }
+
+    startCompressed() {
+        if (typeof MediaRecorder === 'undefined' || !this.looper.ctx.createMediaStreamDestination) return;
+        const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) return;
+        try {
+            const destination = this.looper.ctx.createMediaStreamDestination();
+            this.tap.connect(destination);
+            this.recorder = new MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: 192000 });
+            this.recorder.ondataavailable = (e) => { if (e.data.size > 0) this.recorderChunks.push(e.data); };
+            this.recorder.start(1000);
+        } catch (err) {
+            console.warn("Compressed recording unavailable, WAV only:", err);
+            this.recorder = null;
+        }
+    }
+
+    // The mix at this moment, as the offline render needs it
+    mixState() {
+        const looper = this.looper;
+        const tracks = looper.isPlaying ? looper.tracks().map(buffer => {
+            const strip = looper.stripFor(buffer);
+            const effects = strip.fx.settings();
+            return {
+                buffer,
+                level: looper.isAudible(strip) ? strip.level : 0,
+                pan: strip.pan,
+                effects,
+                fxKey: JSON.stringify(effects)
+            };
+        }) : [];
+        const busEffects = looper.busFx.settings();
+        return {
+            playing: looper.isPlaying,
+            loopStart: looper.loopStartTime - this.startTime,
+            loopDuration: looper.loopDuration,
+            tracks,
+            outputVolume: looper.outputVolume,
+            busEffects,
+            busKey: JSON.stringify(busEffects)
+        };
+    }
+
+    sameMix(a, b) {
+        if (a.playing !== b.playing || a.outputVolume !== b.outputVolume || a.busKey !== b.busKey) return false;
+        if (a.playing && !samePhase(a, b)) return false;
+        return a.tracks.length === b.tracks.length && a.tracks.every((track, i) => {
+            const other = b.tracks[i];
+            return track.buffer === other.buffer && track.level === other.level && track.pan === other.pan && track.fxKey === other.fxKey;
+        });
+    }
+
+    mark(action) {
+        const looper = this.looper;
+        let time = looper.ctx.currentTime - this.startTime;
+        if (looper.activeScene !== this.scene) {
+            if (this.sceneTime !== null) time = Math.min(time, this.sceneTime - this.startTime);
+            this.scene = looper.activeScene;
+            this.sceneTime = null;
+            action = 'scene';
+        }
+
+        const entry = { time, action, ...this.mixState() };
+        const timeline = this.timeline;
+        const last = timeline[timeline.length - 1];
+
+        // Events of one instant (a take: tracks, layeradded, then stop and play) are one entry,
+        // named after its most telling action; a slider drag keeps ~50 steps a second
+        const merge = last && (time === last.time || (action === 'mix' && last.action === 'mix' && time - last.time < 0.02));
+        if (!merge && last && this.sameMix(last, entry)) return;
+        if (merge) {
+            const named = PERFORMANCE_ACTIONS.indexOf(action) < PERFORMANCE_ACTIONS.indexOf(last.action) ? action : last.action;
+            Object.assign(last, entry, { time: last.time, action: named });
+            const previous = timeline[timeline.length - 2];
+            if (previous && last.action !== 'end' && this.sameMix(previous, last)) timeline.pop();
+            return;
+        }
+        timeline.push(entry);
+        timeline.sort((a, b) => a.time - b.time);
+    }
+
+    get duration() {
+        return this.looper.ctx.currentTime - this.startTime;
+    }
+
+    /**
+     * Resolves { duration, sampleRate, timeline, live, input, compressed }:
+     * live / input are AudioBuffers (null without AudioWorklet or input),
+     * compressed is { blob, mimeType } or null.
+     */
+    async stop() {
+        const looper = this.looper;
+        const ctx = looper.ctx;
+        const stopTime = ctx.currentTime;
+        this.mark('end');
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+
+        const sampleRate = ctx.sampleRate;
+        const [live, input, compressed] = await Promise.all([
+            this.live ? this.live.stop(Math.round(stopTime * sampleRate)) : null,
+            this.input ? this.input.stop(Math.round((stopTime + looper.latencyCompensationS) * sampleRate)) : null,
+            this.stopCompressed()
+        ]);
+        looper.limiterNode.disconnect(this.tap);
+        if (this.includeInput) looper.inputNode.disconnect(this.tap);
+
+        return { duration: stopTime - this.startTime, sampleRate, timeline: this.timeline, live, input, compressed };
+    }
+
+    stopCompressed() {
+        const recorder = this.recorder;
+        if (!recorder) return null;
+        return new Promise(resolve => {
+            recorder.onstop = () => resolve({ blob: new Blob(this.recorderChunks, { type: recorder.mimeType }), mimeType: recorder.mimeType });
+            recorder.stop();
+        });
+    }
+}
+
+// === ENGINE ===
+
+/**
+ * Errors the engine reports through its 'error' event instead of alerting.
+ * `code` is for programs (INPUT_UNAVAILABLE, RECORDER_FAILED, DECODE_FAILED, IMPORT_FAILED,
+ * PROJECT_INVALID, CALIBRATION_UNSUPPORTED, CALIBRATION_FAILED, NOTHING_TO_EXPORT, INPUT_LOST, JAM_FAILED);
+ * `message` is meant for the user.
+ */
+class LooperError extends Error {
+    constructor(code, message, cause = null) {
+        super(message);
+        this.name = 'LooperError';
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+// Input settings, remembered in storage. deviceId '' is the browser default.
+// Processing is on by default for laptop mics; turn it off for instruments.
+const INPUT_DEFAULTS = {
+    deviceId: '',
+    echoCancellation: true, // Fix for speaker feedback (stops re-recording playback)
+    noiseSuppression: true, // Helps with feedback squeal
+    autoGainControl: false, // Keep false to preserve dynamics
+    channels: 1, // 1: mono (L+R downmixed), 2: stereo
+    gain: 1,
+    monitor: false
+};
+
+/**
+ * The looper engine. Has no UI of its own: subscribe with on() and drive it with its methods.
+ *
+ * Options (all optional, for embedding and tests):
+ * - context: an AudioContext, or a function returning one (default: a new AudioContext on first use)
+ * - input: MediaStream or AudioNode to record from (default: the microphone via getUserMedia)
+ * - createOfflineContext(channels, length, sampleRate): for export and resampling
+ * - storage: localStorage-like store for latency calibration and input settings (default: localStorage)
+ * - workletUrl / limiterUrl: where capture-worklet.js / limiter-worklet.js are served
+ * - requestFrame / cancelFrame: animation loop for 'progress' (default: requestAnimationFrame)
+ */
+class Looper {
+    constructor(options = {}) {
+        this.options = options;
+        this.ctx = null;
+        this.stream = null;
+        this.input = null; // Source node of the current input device
+        this.recorder = null;
+
+        // Input chain: input -> inputNode (gain, mono/stereo) -> capture, meters, scope and monitor
+        this.inputNode = null;
+        this.monitorNode = null;
+        this.inputMeter = null;
+        this.outputMeter = null;
+        this.inputDeviceId = null; // Device actually in use (may differ from the preferred one)
+        this.inputLost = false; // Unplugged; reopened on the next devicechange
+        this.inputStale = false; // Settings changed mid-take; reopened after it
+        this.recorderDestination = null; // MediaRecorder fallback taps inputNode through this
+        this.isPlaying = false;
+
+        // Audio State
+        this.masterBuffer = null;
+        // Song sections: each scene has its own layer stack (Arrays of AudioBuffers) on top of the shared master
+        this.scenes = ['A', 'B', 'C', 'D'].map(name => ({ name, layers: [] }));
+        this.activeScene = 0;
+        this.layerNodes = []; // Playing AudioBufferSourceNodes for the active scene's layers
+
+        // Scene change queued for the next loop wrap
+        this.pendingScene = null;
+        this.pendingSceneTime = 0; // audioContext time of that wrap
+        this.pendingNodes = []; // Layer nodes scheduled to start at the wrap
+        this.layerOffsets = new Map(); // AudioBuffer -> loop sample where the take started
+
+        // Session (persistence)
+        this.sessionId = null;
+        this.sessionName = '';
+        this.bufferIds = new WeakMap(); // AudioBuffer -> stable id used in storage
+        this.trackKeys = new WeakMap(); // AudioBuffer -> id of the track it belongs to (kept across edits)
+        this.loopDuration = 0; // in seconds
+        this.loopStartTime = 0; // audioContext time when loop started playing
+        this.tickHandle = null;
+
+        // Recording State
+        this.isRecording = false;
+        this.recordingStartTime = 0;
+        this.recordedChunks = [];
+        this.recordingScene = 0; // Scene the take belongs to, even if the scene changes mid-take
+        this.stopTime = null; // Set while a take finishes (possibly on a future boundary)
+
+        // When a take starts: 'immediate'; 'quantized' starts and stops it on the next loop
+        // (or bar, see quantizeTo) boundary; 'threshold' starts it when the input crosses
+        // recordThreshold (linear peak), keeping recordPreRollS of audio from before that
+        this.recordStartMode = 'immediate';
+        this.quantizeTo = 'loop';
+        this.recordThreshold = 0.1;
+        this.recordPreRollS = 0.1;
+        this.thresholdArmed = false;
+        this.thresholdPoll = null;
+        this.armedFrame = 0;
+
+        // Loop boundaries of recorded takes, each step switchable (see setLoopEdges)
+        // trim: cut silence and button thumps off both ends of a free (non-tempo) master
+        // zeroCrossings: move the master's loop points to zero crossings
+        // crossfades: crossfade the master's wrap and fade overdub punch-ins/outs
+        this.loopEdges = { trim: true, zeroCrossings: true, crossfades: true };
+
+        // AudioWorklet capture (preferred over MediaRecorder)
+        this.captureNode = null;
+        this.captureChunks = []; // { frame, channels } as posted by the worklet
+        this.captureStartFrame = 0;
+        this.captureDone = null;
+
+        // Settings
+        this.maxLoopLength = 10; // seconds
+
+        // How stopRecording() places an overdub:
+        // 'overdub' adds a layer, 'replace' also silences everything underneath the take,
+        // 'multiply' grows the loop to fit a take held past the wrap,
+        // 'feedback' adds a layer and, while it records, fades the scene's layers by `feedback` on every pass
+        this.overdubMode = 'overdub';
+        this.feedback = 0.8;
+        this.feedbackTake = null; // { start, amount, buffers, passes } while a feedback take decays layers
+        this.maxMultiply = 8;
+        this.latencyCompensationS = 0.05; // 50ms manual tweak for input latency
+        // Round-trip latency: measured per input/output device pair, plus a manual nudge
+        this.defaultLatencyS = 0.05;
+        this.measuredLatencyS = null;
+        this.latencyNudgeS = 0;
+        this.limiterDelayS = 0; // The live limiter's look-ahead, on top of the devices' round trip
+        this.isCalibrating = false;
+
+        // Tempo mode: master loop snaps to whole bars, with count-in and click
+        this.tempo = {
+            enabled: false,
+            bpm: 120,
+            beatsPerBar: 4,
+            countInBars: 1,
+            click: true
+        };
+        this.metronome = null;
+        this.countInTimer = null;
+
+        // Time stretch / pitch shift of the whole loop, relative to how it was recorded
+        this.timePitch = { speed: 1, semitones: 0 };
+        this.timePitchSources = new WeakMap(); // Processed buffer -> { original, speed, semitones }
+        this.timePitchJob = 0; // Bumped by every change; a slower render that was superseded is dropped
+        this.isStretching = false;
+
+        // Mixer
+        this.strips = new Map(); // AudioBuffer -> ChannelStrip
+        this.outputVolume = 1; // Master fader
+        this.limiter = { enabled: true, ceiling: -1 }; // Master bus limiter (ceiling in dBFS)
+        this.limiterNode = null; // After the master fader
+        this.limiterReady = null;
+        this.limiterReduction = 0; // Live gain reduction in dB (<= 0)
+        this.loudness = null; // Report of the last measured or exported mix
+
+        // Performance recording (a whole live set, see startPerformance)
+        this.performanceRecorder = null; // While recording
+        this.performanceTimer = null;
+        this.performance = null; // The last recorded set
+        this.busFx = new EffectChain(); // Output bus effects, in front of the master fader
+        this.busNodes = null;
+        this.outputNode = null;
+
+        // Event name -> Set of listeners (see on())
+        this.listeners = new Map();
+        this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage || null);
+        this.inputSettings = { ...INPUT_DEFAULTS, ...this.readInputSettings() };
+        this.requestFrame = options.requestFrame || ((fn) => requestAnimationFrame(fn));
+        this.cancelFrame = options.cancelFrame || ((handle) => cancelAnimationFrame(handle));
+
+        // Undo/redo of every destructive action (records, deletes, clears, imports, mixer changes)
+        this.history = new History();
+
+        this.recordingLoopOffset = 0;
+        this.autoStopTimer = null;
+
+        // Visualizer
+        this.analyser = null;
+        this.dataArray = null;
+    }
+
+    // === EVENTS ===
+
+    /**
+     * Subscribe to an event; returns a function that unsubscribes.
+     * - 'state' (state): READY, COUNT_IN, ARMED, RECORDING, PLAYING, STOPPED, CALIBRATING
+     * - 'progress' (progress 0-1, { bar, beat } or null): every animation frame while playing
+     * - 'layeradded' ({ buffer, scene, offset, shared }): a recorded, imported or (shared: true)
+     *   received track; scene is null for the master
+     * - 'error' (LooperError)
+     * - 'tracks', 'scene', 'latency', 'history', 'input', 'timepitch': the matching state changed
+     * - 'context' (state): the AudioContext was suspended, interrupted or resumed
+     * - 'loudness' (report): a mix was measured or exported (see masterMix)
+     * - 'performance' (state, performance): RECORDING or STOPPED (with the recorded set)
+     * - 'devices' (devices): the list of input devices changed
+     * - 'session': anything worth autosaving changed
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) listeners.delete(listener);
+    }
+
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        // One broken subscriber must not stop the engine (or the other subscribers)
+        [...listeners].forEach(listener => {
+            try {
+                listener(...args);
+            } catch (err) {
+                console.error(`Error in '${event}' listener:`, err);
+            }
+        });
+    }
+
+    // Report a failure to subscribers; returns the error for callers that also throw/return it
+    fail(code, message, cause = null) {
+        const error = new LooperError(code, message, cause);
+        console.error(message, cause || '');
+        this.emit('error', error);
+        return error;
+    }
+
+    // The layer stack of the active scene
+    get layers() {
+        return this.scenes[this.activeScene].layers;
+    }
+
+    set layers(value) {
+        this.scenes[this.activeScene].layers = value;
+    }
+
+    /**
+     * AudioContext and output graph only (enough for playback, restore and file import).
+     */
+    async ensureContext() {
+        if (!this.ctx) {
+            const { context } = this.options;
+            const AudioContext = globalThis.AudioContext || globalThis.webkitAudioContext;
+            this.ctx = typeof context === 'function' ? context() : context || new AudioContext();
+
+            // Master fader: every channel strip feeds this node
+            this.outputNode = this.ctx.createGain();
+            this.outputNode.gain.value = this.outputVolume;
+            this.outputNode.connect(this.ctx.destination);
+            this.outputMeter = new LevelMeter(this.ctx);
+            this.outputNode.connect(this.outputMeter.input);
+            this.busNodes = this.busFx.createNodes(this.ctx);
+            this.busNodes.output.connect(this.outputNode);
+
+            this.metronome = new Metronome(this.ctx);
+            this.applyTempo();
+            this.limiterReady = this.setupLimiter();
+
+            // The OS may suspend it (screen lock, phone call, app switch): see resumeContext()
+            this.ctx.onstatechange = () => this.emit('context', this.ctx.state);
+        }
+
+        await this.limiterReady;
+
+        // Resume if suspended (browser autoplay policy)
+        if (this.ctx.state === 'suspended') {
+            await this.ctx.resume();
+        }
+    }
+
+    /**
+     * Wake the AudioContext after the OS suspended or interrupted it. The loop clock stops
+     * with it, so playback carries on in time from where it paused.
+     * Resolves whether it is running; browsers may refuse until the next user gesture.
+     */
+    async resumeContext() {
+        if (!this.ctx || this.ctx.state === 'running') return true;
+        if (this.ctx.state === 'closed') return false;
+        try {
+            await this.ctx.resume();
+        } catch (e) {
+            return false;
+        }
+        return this.ctx.state === 'running';
+    }
+
+    async init() {
+        await this.ensureContext();
+        if (this.input) return;
+        if (!this.inputNode) await this.setupInput();
+        await this.openInput();
+    }
+
+    // === INPUT ===
+
+    /**
+     * The part of the input chain that outlives device changes. Built once; openInput()
+     * only swaps the source feeding inputNode.
+     */
+    async setupInput() {
+        this.inputNode = this.ctx.createGain();
+        this.inputNode.channelCountMode = 'explicit';
+        this.inputNode.channelInterpretation = 'speakers'; // Mono downmixes L+R
+
+        // Direct monitoring goes straight to the speakers: never recorded, exported or metered as output
+        this.monitorNode = this.ctx.createGain();
+        this.inputNode.connect(this.monitorNode);
+        this.monitorNode.connect(this.ctx.destination);
+
+        this.inputMeter = new LevelMeter(this.ctx);
+        this.inputNode.connect(this.inputMeter.input);
+
+        // Analyser Setup
+        this.analyser = this.ctx.createAnalyser();
+        this.analyser.fftSize = 256;
+        this.inputNode.connect(this.analyser);
+        const bufferLength = this.analyser.frequencyBinCount;
+        this.dataArray = new Uint8Array(bufferLength);
+
+        this.applyInputSettings();
+        await this.setupCapture();
+
+        const devices = globalThis.navigator && navigator.mediaDevices;
+        if (devices && devices.addEventListener) {
+            devices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+    }
+
+    /**
+     * (Re)open the input: the injected one, or getUserMedia with the current settings.
+     * Falls back to the default device when the preferred one is missing.
+     */
+    async openInput() {
+        this.closeInput();
+        try {
+            const source = this.options.input || await this.requestInputStream();
+            // An injected AudioNode is used as is; a MediaStream gets a source node
+            if (typeof source.connect === 'function') {
+                this.input = source;
+            } else {
+                this.stream = source;
+                this.input = this.ctx.createMediaStreamSource(source);
+                const track = source.getAudioTracks()[0];
+                this.inputDeviceId = track ? track.getSettings().deviceId || null : null;
+                if (track) track.onended = () => this.handleInputLost(source);
+            }
+            this.input.connect(this.inputNode);
+            this.inputLost = false;
+            this.loadLatency(); // Calibration is per device
+            this.emit('input');
+            console.log("Audio Initialized");
+            return true;
+        } catch (err) {
+            this.fail('INPUT_UNAVAILABLE', "Could not access microphone. Ensure site is HTTPS and permitted.", err);
+            this.emit('input');
+            return false;
+        }
+    }
+
+    async requestInputStream() {
+        const { deviceId, echoCancellation, noiseSuppression, autoGainControl, channels } = this.inputSettings;
+        const audio = { echoCancellation, noiseSuppression, autoGainControl, channelCount: { ideal: channels }, latency: 0 };
+        if (deviceId) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({ audio: { ...audio, deviceId: { exact: deviceId } } });
+            } catch (err) {
+                if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+                console.warn("Preferred input not found, using the default:", err);
+            }
+        }
+        return navigator.mediaDevices.getUserMedia({ audio });
+    }
+
+    closeInput() {
+        if (this.input) this.input.disconnect();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
+        }
+        this.input = null;
+        this.stream = null;
+        this.inputDeviceId = null;
+    }
+
+    /**
+     * The device went away (unplugged, or the OS took it). A take in progress keeps what
+     * was captured so far; the input falls back to the default device.
+     */
+    async handleInputLost(stream) {
+        if (stream !== this.stream) return;
+        this.closeInput();
+        this.inputLost = true;
+        if (this.isRecording) await this.stopRecording();
+        if (this.isCalibrating) return; // Calibration fails on its own; reopen on the next devicechange
+        this.fail('INPUT_LOST', "The input device was disconnected. Switched to the default input.");
+        await this.openInput();
+    }
+
+    async handleDeviceChange() {
+        const devices = await this.listInputDevices();
+        this.emit('devices', devices);
+        if (this.options.input || this.isRecording || this.isCalibrating) return;
+
+        // Switch back to the preferred device when it returns, or retry after losing the input
+        const preferred = this.inputSettings.deviceId;
+        const returned = preferred && preferred !== this.inputDeviceId && devices.some(d => d.deviceId === preferred);
+        if (returned || (!this.input && this.inputLost)) await this.openInput();
+    }
+
+    // Audio inputs as { deviceId, label }; labels are empty until microphone permission is granted
+    async listInputDevices() {
+        const devices = globalThis.navigator && navigator.mediaDevices;
+        if (!devices || !devices.enumerateDevices) return [];
+        const all = await devices.enumerateDevices();
+        return all
+            .filter(device => device.kind === 'audioinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Input ${i + 1}` }));
+    }
+
+    readInputSettings() {
+        try {
+            return JSON.parse(this.storage.getItem('web-sampler.input')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Change input settings (see INPUT_DEFAULTS). Gain and monitoring apply live;
+     * device, processing and channel changes reopen the input (after the take, if recording).
+     */
+    async setInputSettings(changes) {
+        const reopen = ['deviceId', 'echoCancellation', 'noiseSuppression', 'autoGainControl', 'channels']
+            .some(key => key in changes && changes[key] !== this.inputSettings[key]);
+        Object.assign(this.inputSettings, changes);
+        if (this.storage) this.storage.setItem('web-sampler.input', JSON.stringify(this.inputSettings));
+        this.applyInputSettings();
+
+        if (reopen && this.inputNode && !this.options.input) {
+            if (this.isRecording || this.isCalibrating) {
+                this.inputStale = true;
+            } else {
+                await this.openInput();
+                return;
+            }
+        }
+        this.emit('input');
+    }
+
+    applyInputSettings() {
+        if (!this.inputNode) return;
+        const { gain, channels, monitor } = this.inputSettings;
+        this.inputNode.channelCount = channels;
+        setParam(this.inputNode.gain, gain, this.ctx);
+        // Muted while calibrating, or the clicks would feed back through the monitor
+        setParam(this.monitorNode.gain, monitor && !this.isCalibrating ? 1 : 0, this.ctx);
+    }
+
+    // Apply settings changed during a take or calibration
+    reopenStaleInput() {
+        if (!this.inputStale) return;
+        this.inputStale = false;
+        this.openInput();
+    }
+
+    /**
+     * Start recording a new layer.
+     * If no master loop, this starts the Master Loop recording.
+     */
+    async startRecording() {
+        if (this.isRecording || this.isCalibrating) return;
+
+        // Ensure AudioContext and input are ready
+        if (!this.input) {
+            await this.init();
+            if (!this.input) return; // init() reported why
+        }
+
+        // Double check state after await
+        if (this.ctx.state === 'suspended') {
+            await this.ctx.resume();
+        }
+
+        this.isRecording = true;
+        this.recordingScene = this.activeScene;
+
+        // Fallback path when AudioWorklet capture is unavailable
+        if (!this.captureNode && !this.createMediaRecorder()) {
+            this.isRecording = false;
+            return;
+        }
+
+        const now = this.ctx.currentTime;
+        let startTime = now;
+
+        if (this.recordStartMode === 'threshold') {
+            this.armThreshold();
+            return;
+        }
+
+        // Tempo mode: click along while the master is recorded, after an optional count-in
+        if (this.tempo.enabled && !this.masterBuffer) {
+            const countInStart = now + 0.05;
+            if (this.tempo.click || this.tempo.countInBars > 0) this.metronome.start(countInStart);
+            if (this.tempo.countInBars > 0) {
+                startTime = countInStart + this.tempo.countInBars * this.metronome.barDuration;
+            }
+        } else if (this.isQuantized) {
+            startTime = this.nextBoundary(now);
+        }
+
+        // Armed ahead of time, so the worklet catches the first downbeat after a count-in exactly
+        if (this.captureNode) this.startCapture(startTime);
+
+        if (startTime > now) {
+            this.emit('state', this.masterBuffer ? 'ARMED' : 'COUNT_IN');
+            this.countInTimer = setTimeout(() => this.beginTake(startTime), (startTime - now) * 1000);
+            return;
+        }
+
+        this.beginTake(startTime);
+    }
+
+    /**
+     * The take starts (now, after a count-in or quantize wait, or on a threshold trigger).
+     * startTime is when the player played its first sample (audio clock).
+     */
+    beginTake(startTime) {
+        this.countInTimer = null;
+        if (!this.tempo.click) this.metronome.stop(); // Count-in only
+        if (!this.captureNode) this.recorder.start();
+        this.recordingStartTime = startTime;
+
+        // Track where in the loop we started recording (for alignment)
+        if (this.masterBuffer && this.isPlaying) {
+            // The worklet already shifts its capture window by the latency; MediaRecorder
+            // audio starts "now", which the player heard latencyCompensationS earlier
+            const latency = this.captureNode ? 0 : this.latencyCompensationS;
+            const position = (startTime - latency - this.loopStartTime) % this.loopDuration;
+            this.recordingLoopOffset = (position + this.loopDuration) % this.loopDuration;
+            if (this.overdubMode === 'feedback') this.startFeedback(startTime);
+        } else {
+            this.recordingLoopOffset = 0;
+            // Threshold-started master: bars count from the first note
+            if (this.tempo.enabled && this.tempo.click && !this.metronome.isRunning) this.metronome.start(startTime);
+            // Auto-stop if Master exceeds max length
+            this.autoStopTimer = setTimeout(() => {
+                if (this.isRecording && !this.masterBuffer) {
+                    this.stopRecording();
+                }
+            }, this.maxLoopLength * 1000);
+        }
+
+        this.emit('state', 'RECORDING');
+    }
+
+    // === RECORD START MODES ===
+
+    setRecordStart({ mode, quantizeTo, threshold, preRoll } = {}) {
+        if (mode !== undefined) this.recordStartMode = mode;
+        if (quantizeTo !== undefined) this.quantizeTo = quantizeTo;
+        if (threshold !== undefined) this.recordThreshold = threshold;
+        if (preRoll !== undefined) this.recordPreRollS = preRoll;
+    }
+
+    // Quantizing needs a playing loop; the master itself is already bar-snapped in tempo mode
+    get isQuantized() {
+        return this.recordStartMode === 'quantized' && this.masterBuffer !== null && this.isPlaying;
+    }
+
+    // First loop (or bar) boundary at or after `time`, on the playing loop's grid
+    nextBoundary(time) {
+        const bar = this.tempo.enabled ? this.metronome.barDuration : 0;
+        const step = this.quantizeTo === 'bar' && bar > 0 && bar < this.loopDuration ? bar : this.loopDuration;
+        const steps = Math.ceil((time - this.loopStartTime) / step - 1e-6);
+        return this.loopStartTime + steps * step;
+    }
+
+    /**
+     * Wait for the input to cross recordThreshold. The worklet captures from now on, so the
+     * take can start recordPreRollS before the trigger and keep the attack; without the
+     * worklet the meter is polled and there is no pre-roll.
+     */
+    armThreshold() {
+        this.thresholdArmed = true;
+        this.emit('state', 'ARMED');
+        if (this.captureNode) {
+            this.startCapture(this.ctx.currentTime);
+            this.armedFrame = this.captureStartFrame;
+            return;
+        }
+        this.thresholdPoll = setInterval(() => {
+            if (this.inputMeter.read().peak < this.recordThreshold) return;
+            this.disarmThreshold();
+            this.beginTake(this.ctx.currentTime);
+        }, 10);
+    }
+
+    disarmThreshold() {
+        this.thresholdArmed = false;
+        if (this.thresholdPoll) clearInterval(this.thresholdPoll);
+        this.thresholdPoll = null;
+    }
+
+    // Scan captured frames while armed; drop anything older than the pre-roll
+    detectThreshold(chunk) {
+        const preRoll = Math.round(this.recordPreRollS * this.ctx.sampleRate);
+        let hit = -1;
+        chunk.channels.forEach(data => {
+            const i = data.findIndex(v => Math.abs(v) >= this.recordThreshold);
+            if (i >= 0 && (hit < 0 || i < hit)) hit = i;
+        });
+
+        if (hit < 0) {
+            const keepFrom = chunk.frame + chunk.channels[0].length - preRoll;
+            this.captureChunks = this.captureChunks.filter(c => c.frame + c.channels[0].length > keepFrom);
+            return;
+        }
+
+        this.disarmThreshold();
+        this.captureStartFrame = Math.max(this.armedFrame, chunk.frame + hit - preRoll);
+        this.beginTake(this.captureStartFrame / this.ctx.sampleRate - this.latencyCompensationS);
+    }
+
+    createMediaRecorder() {
+        if (typeof MediaRecorder === 'undefined' || !this.ctx.createMediaStreamDestination) {
+            this.fail('RECORDER_FAILED', "Recording needs AudioWorklet or MediaRecorder support.");
+            return false;
+        }
+        // Record after the input gain / channel stage, like the worklet does
+        if (!this.recorderDestination) {
+            this.recorderDestination = this.ctx.createMediaStreamDestination();
+            this.inputNode.connect(this.recorderDestination);
+        }
+        this.mimeType = 'audio/webm';
+        if (MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
+            this.mimeType = 'audio/webm;codecs=opus';
+        } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
+            this.mimeType = 'audio/mp4';
+        }
+
+        console.log("Using MIME Type:", this.mimeType);
+
+        this.recordedChunks = [];
+        try {
+            this.recorder = new MediaRecorder(this.recorderDestination.stream, { mimeType: this.mimeType });
+        } catch (e) {
+            this.fail('RECORDER_FAILED', "Microphone recording failed. Check console.", e);
+            return false;
+        }
+
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.recordedChunks.push(e.data);
+        };
+        return true;
+    }
+
+    /**
+     * Stop recording.
+     * If Master, sets loop length and starts playing.
+     * If Overdub, creates a layer synced to the loop.
+     */
+    async stopRecording() {
+        if (!this.isRecording) return;
+
+        if (this.stopTime !== null) return; // Already stopping on a boundary
+        if (this.autoStopTimer) clearTimeout(this.autoStopTimer);
+
+        // Released during the count-in, quantize wait or before the threshold: nothing was captured yet
+        if (this.countInTimer || this.thresholdArmed) {
+            clearTimeout(this.countInTimer);
+            this.countInTimer = null;
+            this.disarmThreshold();
+            if (this.captureNode) this.captureNode.port.postMessage({ command: 'cancel' });
+            this.captureChunks = [];
+            if (!this.isPlaying) this.metronome.stop();
+            this.isRecording = false;
+            this.emit('state', this.isPlaying ? 'PLAYING' : (this.masterBuffer ? 'STOPPED' : 'READY'));
+            return;
+        }
+
+        let stopTime = this.ctx.currentTime;
+        if (this.isQuantized) {
+            // A release just after a boundary still means that boundary
+            stopTime = this.nextBoundary(stopTime - 0.05);
+            if (stopTime <= this.recordingStartTime) stopTime = this.nextBoundary(this.ctx.currentTime + 0.001);
+        }
+        this.stopTime = stopTime;
+        this.endFeedback(stopTime);
+
+        let audioBuffer = null;
+        try {
+            if (this.captureNode) {
+                audioBuffer = await this.stopCapture(stopTime);
+            } else {
+                await new Promise(resolve => setTimeout(resolve, Math.max(0, stopTime - this.ctx.currentTime) * 1000));
+                audioBuffer = await this.stopMediaRecorder();
+            }
+        } catch (err) {
+            this.fail('DECODE_FAILED', "Failed to process audio. Format might be unsupported.", err);
+        }
+        this.isRecording = false;
+        this.stopTime = null;
+        this.reopenStaleInput();
+
+        if (audioBuffer) this.finishTake(audioBuffer);
+        if (this.feedbackTake) {
+            // No take, no decay: the layers go back to their level
+            this.feedbackTake = null;
+            this.updateMix();
+        }
+
+        // A master take that failed to decode leaves the click running
+        if (!this.isPlaying && this.metronome) this.metronome.stop();
+    }
+
+    stopMediaRecorder() {
+        return new Promise((resolve, reject) => {
+            this.recorder.onstop = async () => {
+                try {
+                    const blob = new Blob(this.recordedChunks, { type: this.mimeType });
+                    const arrayBuffer = await blob.arrayBuffer();
+                    resolve(await this.ctx.decodeAudioData(arrayBuffer));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            this.recorder.stop();
+        });
+    }
+
+    /**
+     * Turn a finished take into the master loop or an overdub layer.
+     */
+    finishTake(audioBuffer) {
+        if (!this.masterBuffer) {
+            // === MASTER LOOP LOGIC ===
+            // Worklet takes are exactly as long as the button was held; MediaRecorder
+            // takes are whatever decoded, so the buffer's play time is the source of truth
+            // for loop length to avoid gaps
+            audioBuffer = this.shapeMasterTake(audioBuffer);
+
+            console.log("Master Loop Created. Duration:", audioBuffer.duration);
+            this.commit('Record loop', () => {
+                this.masterBuffer = audioBuffer;
+                this.loopDuration = audioBuffer.duration;
+                this.startSession();
+            });
+            this.emit('tracks');
+            this.emit('layeradded', { buffer: audioBuffer, scene: null, offset: 0 });
+
+            // Immediately start playing
+            this.play();
+        } else {
+            // === OVERDUB LOGIC ===
+            // Align the new recording to the Master Loop
+            // Calculate sample offset
+            // offsetTime / loopDuration * totalSamples
+            const ratio = this.recordingLoopOffset / this.loopDuration;
+            const sampleOffset = Math.round(ratio * this.masterBuffer.length) % this.masterBuffer.length;
+
+            if (this.overdubMode === 'replace') {
+                this.replaceTake(audioBuffer, sampleOffset);
+            } else if (this.overdubMode === 'multiply') {
+                this.multiplyTake(audioBuffer, sampleOffset);
+            } else {
+                // Create a silence-padded buffer matching the Master length
+                const newLayer = this.fitToLoop(audioBuffer, sampleOffset, true, this.punchFade());
+
+                this.commit('Record layer', () => {
+                    this.scenes[this.recordingScene].layers.push(newLayer);
+                    this.layerOffsets.set(newLayer, sampleOffset);
+                    this.applyFeedback();
+                });
+                this.updateMix();
+                this.emit('tracks');
+                this.emit('layeradded', { buffer: newLayer, scene: this.recordingScene, offset: sampleOffset });
+
+                // Sync up: since we padded it to be full loop length, we can just start it
+                // at the current loop position ("source.start(0, currentLoopTime)")
+                // instead of restarting every node.
+                this.startLayerNode(newLayer, this.recordingScene);
+            }
+            this.emit('state', this.isPlaying ? 'PLAYING' : 'STOPPED');
+        }
+    }
+
+    // === OVERDUB MODES ===
+
+    setOverdubMode(mode) {
+        if (!['overdub', 'replace', 'multiply', 'feedback'].includes(mode)) return;
+        if (this.overdubMode === 'feedback' && mode !== 'feedback') this.resetFades();
+        this.overdubMode = mode;
+    }
+
+    setFeedback(amount) {
+        this.feedback = Math.min(1, Math.max(0, amount));
+    }
+
+    /**
+     * Replace: the take becomes a layer and everything underneath it (master and the
+     * scene's layers) is silenced over the punched-in region.
+     */
+    replaceTake(audioBuffer, sampleOffset) {
+        const length = Math.min(audioBuffer.length, this.masterBuffer.length);
+        const fade = this.punchFade();
+        const newLayer = this.fitToLoop(audioBuffer, sampleOffset, true, fade);
+        const scene = this.scenes[this.recordingScene];
+        const position = this.currentPosition();
+
+        // The take fades in as what it replaces fades out, and back at the punch-out
+        this.commit('Replace', () => {
+            this.masterBuffer = this.swapBuffer(this.masterBuffer, this.silenceRegion(this.masterBuffer, sampleOffset, length, fade));
+            scene.layers = scene.layers.map(buf => this.swapBuffer(buf, this.silenceRegion(buf, sampleOffset, length, fade)));
+            scene.layers.push(newLayer);
+            this.layerOffsets.set(newLayer, sampleOffset);
+        });
+
+        this.emit('tracks');
+        this.emit('layeradded', { buffer: newLayer, scene: this.recordingScene, offset: sampleOffset });
+        if (this.isPlaying) this.play(position);
+    }
+
+    /**
+     * Multiply: a take held past the wrap grows the loop to the next whole multiple
+     * (2x, 3x...). Every existing buffer is repeated to fill the new length and the take
+     * is laid in without wrapping.
+     */
+    multiplyTake(audioBuffer, sampleOffset) {
+        const loopLength = this.masterBuffer.length;
+        const times = Math.min(this.maxMultiply, Math.max(1, Math.ceil((sampleOffset + audioBuffer.length) / loopLength)));
+        // Where the loop will be once it restarts: the take began `sampleOffset` into pass 1
+        const position = (this.recordingLoopOffset + (this.ctx.currentTime - this.recordingStartTime)) % (this.loopDuration * times);
+
+        let newLayer = null;
+        this.commit(times > 1 ? `Multiply x${times}` : 'Record layer', () => {
+            this.masterBuffer = this.swapBuffer(this.masterBuffer, this.repeatBuffer(this.masterBuffer, times));
+            this.loopDuration = this.masterBuffer.duration;
+            this.scenes.forEach(scene => {
+                scene.layers = scene.layers.map(buf => this.swapBuffer(buf, this.repeatBuffer(buf, times)));
+            });
+            newLayer = this.fitToLoop(audioBuffer, sampleOffset, false, this.punchFade());
+            this.scenes[this.recordingScene].layers.push(newLayer);
+            this.layerOffsets.set(newLayer, sampleOffset);
+        });
+
+        this.emit('tracks');
+        this.emit('layeradded', { buffer: newLayer, scene: this.recordingScene, offset: sampleOffset });
+        if (this.isPlaying) this.play(position);
+    }
+
+    /**
+     * Move mixer settings and offset from an old buffer to its edited copy.
+     */
+    swapBuffer(oldBuffer, newBuffer) {
+        if (oldBuffer === newBuffer) return newBuffer;
+        this.strips.set(newBuffer, new ChannelStrip(this.stripFor(oldBuffer).settings()));
+        this.trackKeys.set(newBuffer, this.trackKey(oldBuffer));
+        if (this.layerOffsets.has(oldBuffer)) this.layerOffsets.set(newBuffer, this.layerOffsets.get(oldBuffer));
+        this.removeStrip(oldBuffer);
+        return newBuffer;
+    }
+
+    // Edits never touch recorded audio in place (history shares buffers): they work on a copy
+    copyBuffer(buffer) {
+        const copy = this.ctx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) copy.copyToChannel(buffer.getChannelData(ch), ch);
+        return copy;
+    }
+
+    // Copy of buffer with [start, start + length) zeroed (wrapping past the end), ramping over `fade` samples at its edges
+    silenceRegion(buffer, start, length, fade = 0) {
+        const copy = this.copyBuffer(buffer);
+        for (let ch = 0; ch < copy.numberOfChannels; ch++) {
+            const data = copy.getChannelData(ch);
+            for (let i = 0; i < length; i++) data[(start + i) % data.length] *= 1 - punchGain(i, length, fade);
+        }
+        return copy;
+    }
+
+    // Buffer played `times` times back to back
+    repeatBuffer(buffer, times) {
+        if (times === 1) return buffer;
+        const copy = this.ctx.createBuffer(buffer.numberOfChannels, buffer.length * times, buffer.sampleRate);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const src = buffer.getChannelData(ch);
+            const data = copy.getChannelData(ch);
+            for (let n = 0; n < times; n++) data.set(src, n * buffer.length);
+        }
+        return copy;
+    }
+
+    /**
+     * Feedback mode: while a take records, the layers already in its scene fade by
+     * `feedback` at every wrap. The steps are scheduled on the audio clock as short gain
+     * ramps; the strips' `fade` only changes when the take lands (see applyFeedback).
+     */
+    startFeedback(startTime) {
+        const amount = this.feedback;
+        const buffers = [...this.scenes[this.recordingScene].layers];
+        this.feedbackTake = { start: startTime, amount, buffers, passes: null };
+        if (amount >= 1 || !this.isPlaying) return;
+
+        // Until the quietest step is inaudible
+        const steps = amount > 0 ? Math.min(1000, Math.ceil(Math.log(0.001) / Math.log(amount))) : 1;
+        const firstWrap = this.loopStartTime + Math.ceil((startTime - this.loopStartTime) / this.loopDuration) * this.loopDuration;
+        buffers.forEach(buf => {
+            const strip = this.stripFor(buf);
+            if (!strip.nodes || !this.isAudible(strip)) return;
+            const gain = strip.nodes.gain.gain;
+            for (let k = 1; k <= steps; k++) {
+                const wrap = firstWrap + (k - 1) * this.loopDuration;
+                gain.setValueAtTime(strip.level * Math.pow(amount, k - 1), wrap);
+                gain.linearRampToValueAtTime(strip.level * Math.pow(amount, k), wrap + 0.01);
+            }
+        });
+    }
+
+    // Stop the decay at `time` (the take's end) and count the wraps it went through
+    endFeedback(time) {
+        const take = this.feedbackTake;
+        if (!take || take.passes !== null) return;
+        const wraps = (t) => Math.floor((t - this.loopStartTime) / this.loopDuration + 1e-9);
+        take.passes = this.isPlaying ? Math.max(0, wraps(time) - wraps(take.start)) : 0;
+        take.buffers.forEach(buf => {
+            const strip = this.strips.get(buf);
+            if (strip && strip.nodes) strip.nodes.gain.gain.cancelScheduledValues(time);
+        });
+    }
+
+    // Inside the take's commit: the faded layers keep the level they were left at
+    applyFeedback() {
+        const take = this.feedbackTake;
+        this.feedbackTake = null;
+        if (!take || !take.passes) return;
+        const gain = Math.pow(take.amount, take.passes);
+        take.buffers.forEach(buf => {
+            if (!this.strips.has(buf)) return;
+            const strip = this.strips.get(buf);
+            strip.fade = strip.fade * gain < 0.001 ? 0 : strip.fade * gain;
+        });
+    }
+
+    // Leaving feedback mode brings faded layers back to full level (undoable)
+    resetFades() {
+        const faded = this.allBuffers().filter(buf => this.stripFor(buf).fade !== 1);
+        if (faded.length === 0) return;
+        this.commit('Reset fades', () => faded.forEach(buf => { this.stripFor(buf).fade = 1; }));
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    // === MASTER LIMITER ===
+
+    /**
+     * Put the limiter between the master fader and the speakers (and output meter).
+     * Without AudioWorklet a DynamicsCompressorNode stands in (no look-ahead).
+     */
+    async setupLimiter() {
+        let node = null;
+        if (this.ctx.audioWorklet) {
+            try {
+                await this.ctx.audioWorklet.addModule(this.options.limiterUrl || 'limiter-worklet.js');
+                node = new AudioWorkletNode(this.ctx, 'limiter-processor', { outputChannelCount: [2] });
+                node.port.onmessage = (e) => {
+                    if (e.data.type === 'reduction') this.limiterReduction = e.data.db;
+                };
+            } catch (err) {
+                console.warn("Limiter worklet unavailable, using a compressor:", err);
+            }
+        }
+        if (!node) {
+            node = this.ctx.createDynamicsCompressor();
+            node.knee.value = 0;
+            node.attack.value = 0.001;
+            node.release.value = 0.1;
+        }
+        this.limiterNode = node;
+        this.limiterDelayS = node.port ? LIMITER_LOOKAHEAD_S : 0;
+        this.applyLatency();
+        this.outputNode.disconnect();
+        this.outputNode.connect(node);
+        node.connect(this.ctx.destination);
+        node.connect(this.outputMeter.input);
+        this.applyLimiter();
+    }
+
+    applyLimiter() {
+        const node = this.limiterNode;
+        if (!node) return;
+        const { enabled, ceiling } = this.limiter;
+        if (node.port) {
+            node.port.postMessage({ enabled, ceiling });
+        } else {
+            node.threshold.value = ceiling;
+            node.ratio.value = enabled ? 20 : 1;
+            this.limiterReduction = 0;
+        }
+    }
+
+    /**
+     * Limiter on the master bus, live and in the exported mix.
+     * changes: { enabled, ceiling (dBFS, -12 to 0) }
+     */
+    setLimiter(changes) {
+        const next = { ...this.limiter, ...changes };
+        next.ceiling = Math.min(0, Math.max(-12, next.ceiling));
+        this.commit('Limiter', () => { this.limiter = next; }, 'limiter');
+        this.updateMix();
+    }
+
+    /**
+     * The mix as it will be exported: normalized (normalize: 'off', 'peak' to `target` dBTP,
+     * 'lufs' to `target` LUFS), then limited. Returns { buffer, report } where report holds
+     * the loudness of one loop pass of the result (see measureLoudness), the gain applied, the
+     * limiter's deepest reduction and unlimitedOvers: samples that would have clipped without it.
+     * `period` is the loop length the buffer repeats at; loop: false for audio that plays
+     * once (a recorded set), measured whole.
+     */
+    masterMix(mix, { normalize = 'off', target = -1, period = mix.length, loop = true } = {}) {
+        const channels = [];
+        for (let ch = 0; ch < mix.numberOfChannels; ch++) channels.push(Float32Array.from(mix.getChannelData(ch)));
+
+        // The mix repeats every `period` samples: one pass says how loud all of it is
+        const onePass = () => channels.map(data => data.subarray(0, period));
+        let level = null;
+        if (normalize !== 'off') {
+            const before = measureLoudness(onePass(), mix.sampleRate);
+            level = normalize === 'peak' ? before.truePeak : before.integrated;
+        }
+        const gain = level !== null && isFinite(level) ? target - level : 0;
+        const scale = Math.pow(10, gain / 20);
+        let unlimitedOvers = 0; // What would clip without the limiter
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= scale;
+                if (i < period && (data[i] > 1 || data[i] < -1)) unlimitedOvers++;
+            }
+        });
+
+        const reduction = this.limiter.enabled ? limitLoop(channels, mix.sampleRate, this.limiter.ceiling, loop ? period : 0) : 0;
+        const buffer = this.ctx.createBuffer(channels.length, mix.length, mix.sampleRate);
+        channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+        return {
+            buffer,
+            report: { ...measureLoudness(onePass(), mix.sampleRate), gain, reduction, unlimitedOvers }
+        };
+    }
+
+    /**
+     * Render and measure the mix without exporting it, so the readout shows how hot it is.
+     * Resolves the report (see masterMix), or null when there is nothing to measure.
+     */
+    async measureMix({ normalize = 'off', target = -1, repeats = 1 } = {}) {
+        if (!this.masterBuffer) return null;
+        const mix = await this.renderTracks(this.tracks(), repeats, true);
+        return this.reportLoudness(this.masterMix(mix, { normalize, target, period: this.masterBuffer.length }).report);
+    }
+
+    reportLoudness(report) {
+        this.loudness = report;
+        this.emit('loudness', report);
+        return report;
+    }
+
+    // === PERFORMANCE ===
+
+    get isRecordingPerformance() {
+        return this.performanceRecorder !== null;
+    }
+
+    /**
+     * Record the live set from now until stopPerformance() (at most PERFORMANCE_MAX_DURATION):
+     * the output as heard, the input (includeInput) and a timeline of every engine action.
+     */
+    async startPerformance({ includeInput = true } = {}) {
+        if (this.performanceRecorder) return;
+        await this.ensureContext();
+        this.performanceRecorder = new PerformanceRecorder(this, { includeInput });
+        this.performanceRecorder.start();
+        this.performanceTimer = setTimeout(() => this.stopPerformance(), PERFORMANCE_MAX_DURATION * 1000);
+        this.emit('performance', 'RECORDING');
+    }
+
+    /**
+     * Resolves the recorded set (see PerformanceRecorder.stop), also kept as this.performance,
+     * or null when nothing was being recorded.
+     */
+    async stopPerformance() {
+        const recorder = this.performanceRecorder;
+        if (!recorder) return null;
+        this.performanceRecorder = null;
+        clearTimeout(this.performanceTimer);
+        this.performanceTimer = null;
+
+        this.performance = await recorder.stop();
+        this.emit('performance', 'STOPPED', this.performance);
+        return this.performance;
+    }
+
+    /**
+     * Play a set's timeline back through an OfflineAudioContext: every track through its own
+     * strip and the bus, changing when the engine changed live. Rendering pauses at each
+     * entry (suspend) so the live update code applies it. Resolves an unmastered stereo
+     * buffer with a tail for effects to ring out.
+     */
+    async renderPerformance(performance = this.performance) {
+        const { duration, sampleRate, timeline, input } = performance;
+        const quantum = 128; // Suspend times snap to render quanta
+        const length = Math.ceil((duration + PERFORMANCE_TAIL) * sampleRate);
+        const offlineCtx = this.createOfflineContext(2, length, sampleRate);
+
+        const output = offlineCtx.createGain();
+        output.connect(offlineCtx.destination);
+        const bus = new EffectChain().createNodes(offlineCtx);
+        bus.output.connect(output);
+        let voices = new Map(); // AudioBuffer -> { strip, source }
+        let phase = null; // The playing loop's { loopStart, loopDuration }
+
+        const stopVoice = ({ strip, source }, time) => {
+            strip.nodes.gain.gain.setTargetAtTime(0, time, 0.003); // Declick
+            source.stop(time + 0.03);
+        };
+
+        const apply = (entry) => {
+            const time = Math.max(0, entry.time);
+            output.gain.setTargetAtTime(entry.outputVolume, time, 0.01);
+            new EffectChain(entry.busEffects).update(offlineCtx, bus);
+
+            // Loops restarted at another position: start every voice over in step
+            if (!entry.playing || (phase && !samePhase(phase, entry))) {
+                voices.forEach(voice => stopVoice(voice, time));
+                voices = new Map();
+            }
+            phase = entry.playing ? entry : null;
+
+            const next = new Map();
+            entry.tracks.forEach(({ buffer, level, pan, effects }) => {
+                const settings = { volume: level, pan, effects };
+                let voice = voices.get(buffer);
+                if (voice) {
+                    voice.strip.apply(settings);
+                    voice.strip.update(offlineCtx, true);
+                } else {
+                    const strip = new ChannelStrip(settings);
+                    const source = offlineCtx.createBufferSource();
+                    source.buffer = buffer;
+                    source.loop = true;
+                    source.connect(strip.attach(offlineCtx, bus.input, true));
+                    const position = (time - entry.loopStart) % entry.loopDuration;
+                    source.start(time, position < 0 ? position + entry.loopDuration : position);
+                    voice = { strip, source };
+                }
+                next.set(buffer, voice);
+            });
+            voices.forEach((voice, buffer) => { if (!next.has(buffer)) stopVoice(voice, time); });
+            voices = next;
+        };
+
+        // Entries in the same render quantum are applied together; the first ones before rendering
+        const groups = new Map();
+        timeline.forEach(entry => {
+            const frame = Math.floor(Math.max(0, entry.time) * sampleRate / quantum) * quantum;
+            if (frame >= length) return;
+            if (!groups.has(frame)) groups.set(frame, []);
+            groups.get(frame).push(entry);
+        });
+        groups.forEach((entries, frame) => {
+            if (frame === 0) {
+                entries.forEach(apply);
+                return;
+            }
+            offlineCtx.suspend(frame / sampleRate).then(() => {
+                entries.forEach(apply);
+                offlineCtx.resume();
+            });
+        });
+
+        // The player, as captured (already lined up with the loops)
+        if (input) {
+            const source = offlineCtx.createBufferSource();
+            source.buffer = input;
+            source.connect(offlineCtx.destination);
+            source.start(0);
+        }
+        return offlineCtx.startRendering();
+    }
+
+    /**
+     * The last recorded set as { blob, filename }, or null when there is none.
+     * source: 'render' (offline from the timeline, full quality) or 'live' (as it was heard)
+     * format: 'wav' (bitDepth, normalize and target as in exportWav) or 'compressed'
+     * (MediaRecorder's Opus/WebM, as heard live; WAV where the browser could not make one)
+     */
+    async exportPerformance({ source = 'render', format = 'wav', bitDepth = 16, normalize = 'off', target = -1 } = {}) {
+        const performance = this.performance;
+        if (!performance) {
+            this.fail('NOTHING_TO_EXPORT', "Record a set first!");
+            return null;
+        }
+        if (format === 'compressed' && performance.compressed) {
+            const { blob, mimeType } = performance.compressed;
+            const extension = mimeType.startsWith('audio/ogg') ? 'ogg' : mimeType.startsWith('audio/mp4') ? 'm4a' : 'webm';
+            return { blob, filename: `my-set.${extension}` };
+        }
+
+        // The live capture is already limited; the render goes through the master bus like exportWav
+        if (source === 'live' && performance.live) {
+            return { blob: new Blob([this.audioBufferToWav(performance.live, bitDepth)], { type: "audio/wav" }), filename: "my-set.wav" };
+        }
+        const mix = await this.renderPerformance(performance);
+        const { buffer, report } = this.masterMix(mix, { normalize, target, loop: false });
+        this.reportLoudness(report);
+        return { blob: new Blob([this.audioBufferToWav(buffer, bitDepth)], { type: "audio/wav" }), filename: "my-set.wav" };
+    }
+
+    // === WORKLET CAPTURE ===
+
+    /**
+     * Load the capture worklet and tap the input with it. Takes are then raw PCM stamped
+     * with AudioContext frames. Leaves captureNode null (MediaRecorder fallback) on failure.
+     */
+    async setupCapture() {
+        if (!this.ctx.audioWorklet) {
+            console.warn("AudioWorklet not supported, recording through MediaRecorder");
+            return;
+        }
+        try {
+            await this.ctx.audioWorklet.addModule(this.options.workletUrl || 'capture-worklet.js');
+            this.captureNode = new AudioWorkletNode(this.ctx, 'capture-processor');
+            this.captureNode.port.onmessage = (e) => this.handleCaptureMessage(e.data);
+
+            // Keep the node pulled by the graph without making it audible
+            const sink = this.ctx.createGain();
+            sink.gain.value = 0;
+            this.captureNode.connect(sink);
+            sink.connect(this.ctx.destination);
+            this.inputNode.connect(this.captureNode);
+        } catch (err) {
+            console.warn("Worklet capture unavailable, recording through MediaRecorder:", err);
+            this.captureNode = null;
+        }
+    }
+
+    /**
+     * Sound played at time t reaches the worklet latencyCompensationS later, so the capture
+     * window is shifted by that much: sample 0 of the take lines up with startTime.
+     */
+    startCapture(startTime, latency = this.latencyCompensationS) {
+        this.captureChunks = [];
+        this.captureStartFrame = Math.round((startTime + latency) * this.ctx.sampleRate);
+        this.captureNode.port.postMessage({ command: 'start', frame: this.captureStartFrame });
+    }
+
+    stopCapture(stopTime, latency = this.latencyCompensationS) {
+        const stopFrame = Math.round((stopTime + latency) * this.ctx.sampleRate);
+        return new Promise(resolve => {
+            this.captureDone = () => resolve(this.assembleCapture(stopFrame));
+            this.captureNode.port.postMessage({ command: 'stop', frame: stopFrame });
+        });
+    }
+
+    handleCaptureMessage(msg) {
+        if (msg.type === 'frames') {
+            this.captureChunks.push(msg);
+            if (this.thresholdArmed) this.detectThreshold(msg);
+        } else if (msg.type === 'done' && this.captureDone) {
+            const done = this.captureDone;
+            this.captureDone = null;
+            done();
+        }
+    }
+
+    assembleCapture(stopFrame) {
+        const buffer = assembleFrames(this.ctx, this.captureChunks, this.captureStartFrame, stopFrame);
+        this.captureChunks = [];
+        return buffer;
+    }
+
+    /**
+     * Start the loop, optionally from a position (seconds into the loop). Already playing
+     * (a restart after an edit), a queued scene change still waits for the next wrap.
+     */
+    play(offset = 0) {
+        const pending = this.isPlaying ? this.pendingScene : null;
+        if (this.isPlaying) this.stopSources();
+
+        if (!this.masterBuffer) return;
+
+        this.isPlaying = true;
+        this.loopStartTime = this.ctx.currentTime - offset;
+        this.scheduleLoops(offset);
+        if (pending !== null) this.queueScene(pending);
+        if (this.tempo.enabled && this.tempo.click) this.metronome.start(this.loopStartTime);
+        this.emit('state', 'PLAYING');
+
+        // Start animation loop (only one)
+        if (this.tickHandle) this.cancelFrame(this.tickHandle);
+        this.tick();
+    }
+
+    // Seconds into the loop right now
+    currentPosition() {
+        if (!this.isPlaying) return 0;
+        return (this.ctx.currentTime - this.loopStartTime) % this.loopDuration;
+    }
+
+    stop() {
+        if (this.feedbackTake) this.endFeedback(this.ctx.currentTime);
+        this.isPlaying = false;
+        this.stopSources();
+        // A queued scene change takes effect right away once the loop is stopped
+        if (this.pendingScene !== null) this.switchScene(this.pendingScene);
+        this.emit('state', 'STOPPED');
+    }
+
+    // Silence every playing node (and the click); scene and transport state are left alone
+    stopSources() {
+        if (this.metronome) this.metronome.stop();
+        if (this.ctx && this.ctx.state === 'running') {
+            // Stop specific nodes in v2, for now suspend is okay but aggressive.
+            // Better: Stop all tracked nodes.
+            if (this.masterNode) { try { this.masterNode.stop(); } catch (e) { } }
+            [...this.layerNodes, ...this.pendingNodes].forEach(node => { try { node.stop(); } catch (e) { } });
+            this.layerNodes = []; // Clear references
+            this.pendingNodes = [];
+        }
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    scheduleLoops(offset = 0) {
+        if (!this.isPlaying) return;
+        this.layerNodes = []; // Reset tracker
+
+        const playSource = (buffer) => {
+            const source = this.createLoopSource(buffer);
+            source.start(0, offset);
+            return source;
+        };
+
+        // Play Master
+        this.masterNode = playSource(this.masterBuffer);
+
+        // Play Layers
+        this.layers.forEach(buf => {
+            this.layerNodes.push(playSource(buf));
+        });
+    }
+
+    /**
+     * Place audio on a silent buffer of exactly the master's length and channel count,
+     * starting at sampleOffset. Audio that runs past the loop end wraps to the start
+     * (overdubs held across the wrap) or is trimmed (wrap: false).
+     * With `fade` (samples) the audio fades in and out at its edges; where a wrapped take
+     * runs over its own beginning it crossfades back into it instead of cutting.
+     */
+    fitToLoop(audioBuffer, sampleOffset, wrap = true, fade = 0) {
+        const newLayer = this.ctx.createBuffer(
+            this.masterBuffer.numberOfChannels,
+            this.masterBuffer.length,
+            this.masterBuffer.sampleRate
+        );
+
+        for (let ch = 0; ch < this.masterBuffer.numberOfChannels; ch++) {
+            const destData = newLayer.getChannelData(ch);
+            const srcData = audioBuffer.getChannelData(ch < audioBuffer.numberOfChannels ? ch : 0);
+            // 'layers' are kept separate, so we set (not mix) the value
+            const count = wrap ? srcData.length : Math.min(srcData.length, newLayer.length - sampleOffset);
+            for (let i = 0; i < count; i++) {
+                const at = (sampleOffset + i) % newLayer.length;
+                const gain = punchGain(i, count, fade);
+                destData[at] = destData[at] * (1 - gain) + srcData[i] * gain;
+            }
+        }
+        return newLayer;
+    }
+
+    // Samples of fade at overdub punch-ins/outs (0 with crossfades off)
+    punchFade() {
+        return this.loopEdges.crossfades ? Math.round(PUNCH_FADE_S * this.ctx.sampleRate) : 0;
+    }
+
+    setLoopEdges(changes) {
+        this.loopEdges = { ...this.loopEdges, ...changes };
+    }
+
+    /**
+     * Turn a raw master take into a loop (each step can be switched off, see loopEdges):
+     * trim silence and button thumps off both ends, move the loop points to zero crossings
+     * and crossfade the wrap. In tempo mode the loop stays whole bars long: nothing is
+     * trimmed (the count-in already put the downbeat at the start) and only the start may
+     * move, taking the end with it.
+     */
+    shapeMasterTake(buffer) {
+        const { trim, zeroCrossings, crossfades } = this.loopEdges;
+        const sampleRate = buffer.sampleRate;
+        const channels = [];
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+
+        let start = 0;
+        let end = buffer.length;
+        if (trim && !this.tempo.enabled) {
+            ({ start, end } = findContent(channels, sampleRate, { keepStart: this.recordStartMode === 'threshold' }));
+        }
+        if (zeroCrossings) {
+            const radius = Math.round(ZERO_CROSSING_RADIUS_S * sampleRate);
+            start = nearestZeroCrossing(channels, start, radius);
+            if (!this.tempo.enabled) end = Math.max(start + 1, nearestZeroCrossing(channels, end, radius));
+        }
+        if (this.tempo.enabled) {
+            end = start + this.barsLength(end - start, sampleRate).length;
+        }
+
+        const fade = crossfades ? Math.round(LOOP_CROSSFADE_S * sampleRate) : 0;
+        const loop = loopSegment(channels, start, end, fade);
+        const shaped = this.ctx.createBuffer(buffer.numberOfChannels, end - start, sampleRate);
+        loop.forEach((data, ch) => shaped.copyToChannel(data, ch));
+        return shaped;
+    }
+
+    // === FILE IMPORT ===
+
+    /**
+     * Import an audio file (WAV/MP3/OGG... anything decodeAudioData handles).
+     * decodeAudioData resamples to the context rate. With no master yet the file becomes
+     * the master loop; otherwise it is added to the active scene as a layer, trimmed or
+     * padded to the loop and placed offsetSeconds into it.
+     */
+    async importFile(file, { offsetSeconds = 0 } = {}) {
+        await this.ensureContext();
+
+        let audioBuffer;
+        try {
+            audioBuffer = await this.ctx.decodeAudioData(await file.arrayBuffer());
+        } catch (err) {
+            this.fail('IMPORT_FAILED', `Could not import ${file.name}. Format might be unsupported.`, err);
+            return;
+        }
+
+        if (!this.masterBuffer) {
+            if (this.tempo.enabled) {
+                audioBuffer = this.snapToBars(audioBuffer);
+            } else if (audioBuffer.duration > this.maxLoopLength) {
+                audioBuffer = this.trimBuffer(audioBuffer, Math.round(this.maxLoopLength * audioBuffer.sampleRate));
+            }
+            console.log("Master Loop Imported. Duration:", audioBuffer.duration);
+            this.commit('Import loop', () => {
+                this.masterBuffer = audioBuffer;
+                this.loopDuration = audioBuffer.duration;
+                this.startSession();
+            });
+            this.emit('tracks');
+            this.emit('layeradded', { buffer: audioBuffer, scene: null, offset: 0 });
+            this.play();
+            return;
+        }
+
+        const length = this.masterBuffer.length;
+        const sampleOffset = ((Math.round(offsetSeconds * this.masterBuffer.sampleRate) % length) + length) % length;
+        const newLayer = this.fitToLoop(audioBuffer, sampleOffset, false);
+        this.commit('Import layer', () => {
+            this.layers.push(newLayer);
+            this.layerOffsets.set(newLayer, sampleOffset);
+        });
+        this.emit('tracks');
+        this.emit('layeradded', { buffer: newLayer, scene: this.activeScene, offset: sampleOffset });
+        this.startLayerNode(newLayer, this.activeScene);
+    }
+
+    /**
+     * Add a track received from another player (jam sessions). It becomes the master when
+     * there is none; otherwise it joins `scene` as a layer. Layers arrive already placed in
+     * their loop; `offset` is where the take started. Returns the buffer added, or null.
+     */
+    async addSharedTrack(buffer, { scene = null, offset = 0 } = {}) {
+        await this.ensureContext();
+        if (buffer.sampleRate !== this.ctx.sampleRate) buffer = await this.resample(buffer, this.ctx.sampleRate);
+
+        if (scene === null || !this.masterBuffer) {
+            if (this.masterBuffer) return null; // Both recorded a master: keep ours
+            this.commit('Shared loop', () => {
+                this.masterBuffer = buffer;
+                this.loopDuration = buffer.duration;
+                this.startSession();
+            });
+            this.emit('tracks');
+            this.emit('layeradded', { buffer, scene: null, offset: 0, shared: true });
+            this.emit('state', 'STOPPED'); // The sender's transport starts it
+            return buffer;
+        }
+
+        const length = this.masterBuffer.length;
+        const layer = buffer.length === length ? buffer : this.fitToLoop(buffer, 0, false);
+        const sampleOffset = Math.round(offset * length / buffer.length) % length;
+        const index = Math.min(Math.max(0, scene), this.scenes.length - 1);
+        this.commit('Shared layer', () => {
+            this.scenes[index].layers.push(layer);
+            this.layerOffsets.set(layer, sampleOffset);
+        });
+        this.emit('tracks');
+        this.emit('layeradded', { buffer: layer, scene: index, offset: sampleOffset, shared: true });
+        this.startLayerNode(layer, index);
+        return layer;
+    }
+
+    trimBuffer(buffer, length) {
+        const trimmed = this.ctx.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            trimmed.getChannelData(ch).set(buffer.getChannelData(ch).subarray(0, length));
+        }
+        return trimmed;
+    }
+
+    // === LATENCY CALIBRATION ===
+
+    // Calibration is stored per input/output device pair
+    latencyDeviceKey() {
+        const track = this.stream && this.stream.getAudioTracks()[0];
+        const input = (track && track.getSettings().deviceId) || 'default';
+        const output = this.ctx && typeof this.ctx.sinkId === 'string' && this.ctx.sinkId ? this.ctx.sinkId : 'default';
+        return `${input}|${output}`;
+    }
+
+    readLatencyStore() {
+        try {
+            return JSON.parse(this.storage.getItem('web-sampler.latency')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    loadLatency() {
+        const saved = this.readLatencyStore()[this.latencyDeviceKey()];
+        this.measuredLatencyS = saved ? saved.measured : null;
+        this.latencyNudgeS = saved ? saved.nudge : 0;
+        this.applyLatency();
+    }
+
+    saveLatency() {
+        if (!this.storage) return;
+        const store = this.readLatencyStore();
+        store[this.latencyDeviceKey()] = { measured: this.measuredLatencyS, nudge: this.latencyNudgeS };
+        this.storage.setItem('web-sampler.latency', JSON.stringify(store));
+    }
+
+    applyLatency() {
+        const base = this.measuredLatencyS ?? this.defaultLatencyS;
+        this.latencyCompensationS = Math.max(0, base + this.limiterDelayS + this.latencyNudgeS);
+        this.emit('latency');
+    }
+
+    setLatencyNudge(seconds) {
+        this.latencyNudgeS = seconds;
+        this.applyLatency();
+        this.saveLatency();
+    }
+
+    /**
+     * Measure round-trip latency: play clicks through the output, capture them through the
+     * input, and take the median delay from each click to its detected onset.
+     * Needs speakers audible to the mic (not headphones). Returns seconds, or null on failure.
+     */
+    async calibrateLatency({ clicks = 8, interval = 0.6 } = {}) {
+        if (this.isRecording || this.isCalibrating) return null;
+        await this.init();
+        if (!this.input) return null;
+        if (!this.captureNode) {
+            this.fail('CALIBRATION_UNSUPPORTED', "Latency calibration needs AudioWorklet support.");
+            return null;
+        }
+        if (this.isPlaying) this.stop();
+
+        this.isCalibrating = true;
+        this.applyInputSettings();
+        this.emit('state', 'CALIBRATING');
+
+        // Echo cancellation / noise suppression would remove the very clicks we listen for
+        const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+        const constraints = track ? track.getConstraints() : null;
+        try {
+            if (track) await track.applyConstraints({ ...constraints, echoCancellation: false, noiseSuppression: false, autoGainControl: false });
+        } catch (err) {
+            console.warn("Could not disable input processing for calibration:", err);
+        }
+
+        const sampleRate = this.ctx.sampleRate;
+        const start = this.ctx.currentTime + 0.2;
+        const clickTimes = [];
+        for (let i = 0; i < clicks; i++) {
+            const t = start + 0.3 + i * interval;
+            this.playCalibrationClick(t);
+            clickTimes.push(t);
+        }
+        const end = start + 0.3 + clicks * interval + 0.3;
+
+        this.startCapture(start, 0);
+        await new Promise(resolve => setTimeout(resolve, (end - this.ctx.currentTime) * 1000));
+        const take = await this.stopCapture(end, 0);
+
+        try {
+            if (track) await track.applyConstraints(constraints);
+        } catch (err) {
+            console.warn("Could not restore input processing:", err);
+        }
+        this.isCalibrating = false;
+        this.applyInputSettings();
+        this.reopenStaleInput();
+        this.emit('state', this.masterBuffer ? 'STOPPED' : 'READY');
+
+        const samples = take.getChannelData(0);
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+        const onsets = detectOnsets(samples, {
+            threshold: Math.max(0.02, peak * 0.3),
+            holdoff: Math.round(0.05 * sampleRate)
+        }).map(i => start + i / sampleRate);
+
+        // Match each click with the first onset that follows it
+        const delays = [];
+        clickTimes.forEach(t => {
+            const hit = onsets.find(onset => onset >= t && onset < t + interval * 0.9);
+            if (hit !== undefined) delays.push(hit - t);
+        });
+
+        if (delays.length < Math.ceil(clicks / 2)) {
+            this.fail('CALIBRATION_FAILED', "Could not hear the calibration clicks. Turn the speakers up, take off headphones and try again.");
+            return null;
+        }
+
+        this.measuredLatencyS = median(delays);
+        console.log(`Measured round-trip latency: ${(this.measuredLatencyS * 1000).toFixed(1)} ms`, delays);
+        this.applyLatency();
+        this.saveLatency();
+        return this.measuredLatencyS;
+    }
+
+    // Short, sharp burst: easy to find in the captured signal
+    playCalibrationClick(time) {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = 2000;
+        env.gain.setValueAtTime(0.8, time);
+        env.gain.exponentialRampToValueAtTime(0.001, time + 0.01);
+        osc.connect(env);
+        env.connect(this.ctx.destination); // Around the limiter: a calibration is the devices' round trip alone
+        osc.start(time);
+        osc.stop(time + 0.02);
+    }
+
+    // === TIME STRETCH / PITCH SHIFT ===
+
+    // A buffer's unprocessed audio and the speed/pitch it was recorded at
+    timePitchSource(buffer) {
+        return this.timePitchSources.get(buffer) || { original: buffer, ...this.timePitch };
+    }
+
+    /**
+     * Change the speed (0.5-2x, pitch kept) and/or pitch (-12..+12 semitones, tempo kept)
+     * of every track in every scene. Each track is rendered from its unprocessed source, so
+     * repeated changes don't pile up artifacts, and all get the same new length so they stay
+     * locked. The loop length, offsets and BPM follow. Undoable; changes in a row coalesce.
+     */
+    async setTimePitch({ speed = this.timePitch.speed, semitones = this.timePitch.semitones } = {}) {
+        if (!this.masterBuffer) return;
+        if (this.isRecording) {
+            this.fail('TIMEPITCH_BLOCKED', "Speed and pitch can't change while recording.");
+            this.emit('timepitch'); // Show the settings that are still in effect
+            return;
+        }
+        // Keep the BPM the loop ends up at within the range setTempo allows
+        const recordedBpm = this.tempo.bpm / this.timePitch.speed;
+        speed = Math.min(2, 300 / recordedBpm, Math.max(0.5, 30 / recordedBpm, speed));
+        semitones = Math.min(12, Math.max(-12, Math.round(semitones)));
+        const job = ++this.timePitchJob;
+        this.isStretching = true;
+        this.emit('timepitch');
+
+        const master = this.timePitchSource(this.masterBuffer);
+        const length = Math.max(1, Math.round(master.original.length * master.speed / speed));
+        const buffers = this.allBuffers();
+        const rendered = new Map();
+        for (const buffer of buffers) {
+            const source = this.timePitchSource(buffer);
+            rendered.set(buffer, this.renderTimePitch(source, length, semitones - source.semitones));
+            await new Promise(resolve => setTimeout(resolve)); // Keep the page responsive between tracks
+            if (job !== this.timePitchJob) return; // A newer change takes over
+        }
+
+        this.isStretching = false;
+        const current = this.allBuffers();
+        if (this.isRecording || current.length !== buffers.length || current.some(buf => !rendered.has(buf))) {
+            // Tracks changed while rendering: start over on what is there now
+            return this.setTimePitch({ speed, semitones });
+        }
+
+        const ratio = length / this.masterBuffer.length;
+        const position = this.currentPosition() * ratio;
+        this.commit('Tempo / pitch', () => {
+            const swap = (buffer) => {
+                const next = this.swapBuffer(buffer, rendered.get(buffer));
+                if (this.layerOffsets.has(next)) this.layerOffsets.set(next, Math.round(this.layerOffsets.get(next) * ratio) % length);
+                return next;
+            };
+            this.masterBuffer = swap(this.masterBuffer);
+            this.loopDuration = this.masterBuffer.duration;
+            this.scenes.forEach(scene => { scene.layers = scene.layers.map(swap); });
+            this.tempo.bpm = recordedBpm * speed;
+            this.timePitch = { speed, semitones };
+        }, 'timepitch');
+
+        this.applyTempo();
+        this.emit('timepitch');
+        this.emit('tracks');
+        if (this.isPlaying) this.play(position);
+    }
+
+    renderTimePitch(source, length, semitones) {
+        const { original } = source;
+        if (original.length === length && semitones === 0) return original;
+
+        const channels = [];
+        for (let ch = 0; ch < original.numberOfChannels; ch++) channels.push(original.getChannelData(ch));
+        const buffer = this.ctx.createBuffer(original.numberOfChannels, length, original.sampleRate);
+        stretchLoop(channels, length, semitones, original.sampleRate).forEach((data, ch) => buffer.copyToChannel(data, ch));
+        this.timePitchSources.set(buffer, source);
+        return buffer;
+    }
+
+    // === TEMPO ===
+
+    /**
+     * Update tempo settings (any subset of this.tempo).
+     * BPM and time signature are locked once a master loop exists, since its length is built from them.
+     */
+    setTempo(settings) {
+        const next = { ...this.tempo, ...settings };
+        if (this.masterBuffer) {
+            next.bpm = this.tempo.bpm;
+            next.beatsPerBar = this.tempo.beatsPerBar;
+        }
+        next.bpm = Math.min(300, Math.max(30, next.bpm));
+        this.tempo = next;
+        this.applyTempo();
+        this.emit('session');
+    }
+
+    applyTempo() {
+        if (!this.metronome) return;
+        this.metronome.bpm = this.tempo.bpm;
+        this.metronome.beatsPerBar = this.tempo.beatsPerBar;
+
+        // Toggle the click live while the loop plays
+        if (this.isPlaying) {
+            const wantClick = this.tempo.enabled && this.tempo.click;
+            if (wantClick && !this.metronome.isRunning) this.metronome.start(this.loopStartTime);
+            if (!wantClick) this.metronome.stop();
+        }
+    }
+
+    /**
+     * Trim or pad a freshly recorded master take to the nearest whole number of bars
+     * (at least one bar, and no more than maxLoopLength allows).
+     */
+    snapToBars(buffer) {
+        const { bars, length } = this.barsLength(buffer.length, buffer.sampleRate);
+        const snapped = this.ctx.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const src = buffer.getChannelData(ch);
+            snapped.getChannelData(ch).set(src.length > length ? src.subarray(0, length) : src);
+        }
+        console.log(`Snapped master to ${bars} bar(s) at ${this.tempo.bpm} BPM`);
+        return snapped;
+    }
+
+    // The whole number of bars nearest `length` samples: { bars, length }
+    barsLength(length, sampleRate) {
+        const barDuration = 60 / this.tempo.bpm * this.tempo.beatsPerBar;
+        let bars = Math.max(1, Math.round(length / sampleRate / barDuration));
+        while (bars > 1 && bars * barDuration > this.maxLoopLength) bars--;
+        return { bars, length: Math.round(bars * barDuration * sampleRate) };
+    }
+
+    /**
+     * Current bar/beat (1-based) for a position in the loop, or null outside tempo mode.
+     */
+    beatPosition(elapsed) {
+        if (!this.tempo.enabled) return null;
+        const beatDuration = 60 / this.tempo.bpm;
+        const beats = Math.floor(elapsed / beatDuration);
+        return {
+            bar: Math.floor(beats / this.tempo.beatsPerBar) + 1,
+            beat: (beats % this.tempo.beatsPerBar) + 1
+        };
+    }
+
+    // === MIXER ===
+
+    /**
+     * All playable tracks in mixer order: master loop first, then overdub layers.
+     */
+    tracks() {
+        return this.masterBuffer ? [this.masterBuffer, ...this.layers] : [];
+    }
+
+    stripFor(buffer) {
+        if (!this.strips.has(buffer)) this.strips.set(buffer, new ChannelStrip());
+        return this.strips.get(buffer);
+    }
+
+    // Solo wins over everything else: with any strip soloed, only soloed strips sound
+    isAudible(strip) {
+        if (strip.muted) return false;
+        const anySolo = this.tracks().some(buf => this.stripFor(buf).solo);
+        return !anySolo || strip.solo;
+    }
+
+    connectToStrip(source, buffer) {
+        const strip = this.stripFor(buffer);
+        source.connect(strip.attach(this.ctx, this.busNodes.input, this.isAudible(strip)));
+    }
+
+    removeStrip(buffer) {
+        const strip = this.strips.get(buffer);
+        if (strip) strip.detach();
+        this.strips.delete(buffer);
+    }
+
+    updateMix() {
+        if (!this.ctx) return;
+        this.tracks().forEach(buf => {
+            const strip = this.stripFor(buf);
+            strip.update(this.ctx, this.isAudible(strip));
+        });
+        if (this.outputNode) {
+            this.outputNode.gain.setTargetAtTime(this.outputVolume, this.ctx.currentTime, 0.01);
+        }
+        if (this.busNodes) this.busFx.update(this.ctx, this.busNodes);
+        this.applyLimiter();
+        this.emit('session');
+    }
+
+    // Mixer changes are undoable; a continuous slider drag merges into one step
+    setTrackVolume(index, volume) {
+        const buffer = this.tracks()[index];
+        if (!buffer) return;
+        this.commit('Volume', () => { this.stripFor(buffer).volume = volume; }, `volume:${this.trackKey(buffer)}`);
+        this.updateMix();
+    }
+
+    setTrackPan(index, pan) {
+        const buffer = this.tracks()[index];
+        if (!buffer) return;
+        this.commit('Pan', () => { this.stripFor(buffer).pan = pan; }, `pan:${this.trackKey(buffer)}`);
+        this.updateMix();
+    }
+
+    toggleMute(index) {
+        const buffer = this.tracks()[index];
+        if (!buffer) return;
+        const strip = this.stripFor(buffer);
+        this.commit(strip.muted ? 'Unmute' : 'Mute', () => { strip.muted = !strip.muted; });
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    toggleSolo(index) {
+        const buffer = this.tracks()[index];
+        if (!buffer) return;
+        const strip = this.stripFor(buffer);
+        this.commit(strip.solo ? 'Unsolo' : 'Solo', () => { strip.solo = !strip.solo; });
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    setOutputVolume(volume) {
+        this.commit('Master volume', () => { this.outputVolume = volume; }, 'output');
+        this.updateMix();
+    }
+
+    // === TRACK EDITING ===
+
+    /**
+     * Where a track's audio sits in the loop: its first to last non-silent sample,
+     * reading from its record offset (wrapping past the loop end). In samples.
+     */
+    contentRange(buffer) {
+        const offset = this.layerOffsets.get(buffer) || 0;
+        const audible = (rel) => {
+            for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+                if (Math.abs(buffer.getChannelData(ch)[(offset + rel) % buffer.length]) > 1e-4) return true;
+            }
+            return false;
+        };
+        let first = 0;
+        while (first < buffer.length && !audible(first)) first++;
+        if (first === buffer.length) return { start: offset, length: 0 };
+        let last = buffer.length - 1;
+        while (!audible(last)) last--;
+        return { start: (offset + first) % buffer.length, length: last - first + 1 };
+    }
+
+    // Put an edited copy in a track's place (inside a commit); mixer settings and offset move with it
+    replaceTrack(index, buffer) {
+        const old = this.tracks()[index];
+        this.swapBuffer(old, buffer);
+        if (index === 0) {
+            this.masterBuffer = buffer;
+            this.loopDuration = buffer.duration;
+        } else {
+            this.layers[index - 1] = buffer;
+        }
+    }
+
+    // The master defines the loop, so editing it restarts playback in place; layers just swap
+    refreshAfterEdit(index, position) {
+        if (index === 0) {
+            if (this.isPlaying) this.play(position % this.loopDuration);
+        } else {
+            this.refreshPlayback();
+        }
+        this.emit('tracks');
+    }
+
+    /**
+     * Replace a track with `edit(buffer)` as one undoable step.
+     */
+    editTrack(index, label, edit, key = null) {
+        const buffer = this.tracks()[index];
+        if (!buffer || this.isRecording) return;
+        const position = this.currentPosition();
+        this.commit(label, () => this.replaceTrack(index, edit(buffer)), key);
+        this.refreshAfterEdit(index, position);
+    }
+
+    /**
+     * Shift a track later (positive) or earlier by a number of samples; the audio wraps
+     * around the loop. Repeated nudges of one track merge into one undo step.
+     */
+    nudgeTrack(index, samples) {
+        const buffer = this.tracks()[index];
+        if (!buffer || this.isRecording) return;
+        const shift = ((Math.round(samples) % buffer.length) + buffer.length) % buffer.length;
+        if (!shift) return;
+
+        const position = this.currentPosition();
+        this.commit('Nudge', () => {
+            const nudged = this.copyBuffer(buffer);
+            for (let ch = 0; ch < nudged.numberOfChannels; ch++) {
+                const src = buffer.getChannelData(ch);
+                const data = nudged.getChannelData(ch);
+                data.set(src.subarray(0, buffer.length - shift), shift);
+                data.set(src.subarray(buffer.length - shift), 0);
+            }
+            this.replaceTrack(index, nudged);
+            this.layerOffsets.set(nudged, ((this.layerOffsets.get(buffer) || 0) + shift) % buffer.length);
+        }, `nudge:${this.trackKey(buffer)}`);
+        this.refreshAfterEdit(index, position);
+    }
+
+    /**
+     * Keep [start, end) of a track's content (samples from contentRange().start) and
+     * silence the rest, with linear fades of fadeIn/fadeOut samples inside the edges.
+     */
+    trimTrack(index, { start = 0, end = Infinity, fadeIn = 0, fadeOut = 0 }, label = 'Trim') {
+        this.editTrack(index, label, (buffer) => {
+            const offset = this.contentRange(buffer).start;
+            const copy = this.copyBuffer(buffer);
+            end = Math.min(end, buffer.length);
+            for (let ch = 0; ch < copy.numberOfChannels; ch++) {
+                const data = copy.getChannelData(ch);
+                for (let rel = 0; rel < data.length; rel++) {
+                    let gain = rel < start || rel >= end ? 0 : 1;
+                    if (gain && fadeIn > 0) gain = Math.min(gain, (rel - start) / fadeIn);
+                    if (gain && fadeOut > 0) gain = Math.min(gain, (end - 1 - rel) / fadeOut);
+                    if (gain < 1) data[(offset + rel) % data.length] *= gain;
+                }
+            }
+            return copy;
+        });
+    }
+
+    // A copy of a track with every sample scaled by `gain`
+    scaledCopy(buffer, gain) {
+        const copy = this.copyBuffer(buffer);
+        for (let ch = 0; ch < copy.numberOfChannels; ch++) {
+            const data = copy.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) data[i] *= gain;
+        }
+        return copy;
+    }
+
+    /**
+     * Play a track backwards. Its content stays where it was in the loop: the reversed
+     * audio starts where the original ended.
+     */
+    reverseTrack(index) {
+        const buffer = this.tracks()[index];
+        if (!buffer || this.isRecording) return;
+        const { start, length } = this.contentRange(buffer);
+
+        const loop = buffer.length;
+
+        const position = this.currentPosition();
+        this.commit('Reverse', () => {
+            // Mirror around the middle of the content (wrapping), not of the buffer
+            const reversed = this.copyBuffer(buffer);
+            for (let ch = 0; ch < reversed.numberOfChannels; ch++) {
+                const src = buffer.getChannelData(ch);
+                const data = reversed.getChannelData(ch);
+                for (let rel = 0; rel < loop; rel++) {
+                    data[(start + rel) % loop] = src[((start + length - 1 - rel) % loop + loop) % loop];
+                }
+            }
+            this.replaceTrack(index, reversed);
+            this.layerOffsets.set(reversed, start);
+        });
+        this.refreshAfterEdit(index, position);
+    }
+
+    // Scale a track so its loudest sample peaks at `peakDb` dBFS (silent tracks stay as they are)
+    normalizeTrack(index, peakDb = -1) {
+        const buffer = this.tracks()[index];
+        if (!buffer) return;
+        let peak = 0;
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            for (const v of buffer.getChannelData(ch)) peak = Math.max(peak, Math.abs(v));
+        }
+        if (peak < 1e-4) return;
+        this.editTrack(index, 'Normalize', (buf) => this.scaledCopy(buf, Math.pow(10, peakDb / 20) / peak));
+    }
+
+    /**
+     * Turn a track's audio up or down by `db` (unlike the fader, this changes the recording).
+     * Repeated steps on one track merge into one undo step.
+     */
+    gainTrack(index, db) {
+        const buffer = this.tracks()[index];
+        if (!buffer || !db) return;
+        this.editTrack(index, 'Gain', (buf) => this.scaledCopy(buf, Math.pow(10, db / 20)), `gain:${this.trackKey(buffer)}`);
+    }
+
+    /**
+     * Play a layer at double (2) or half (0.5) speed, an octave up or down. The loop keeps
+     * its length: double speed plays the layer twice per loop, half speed keeps the first
+     * half of it (from where its audio starts). The master sets the loop, so it stays as is.
+     */
+    changeTrackSpeed(index, speed) {
+        if (index === 0 || ![2, 0.5].includes(speed)) return;
+        this.editTrack(index, speed > 1 ? 'Double speed' : 'Half speed', (buffer) => {
+            const start = this.layerOffsets.get(buffer) || 0;
+            const copy = this.copyBuffer(buffer);
+            for (let ch = 0; ch < copy.numberOfChannels; ch++) {
+                copy.copyToChannel(varispeedLoop(buffer.getChannelData(ch), start, speed), ch);
+            }
+            return copy;
+        });
+    }
+
+    /**
+     * Copy a track into a new layer right below it, with the same mixer settings. A copy of
+     * the master becomes the first layer.
+     */
+    duplicateTrack(index) {
+        const buffer = this.tracks()[index];
+        if (!buffer || this.isRecording) return;
+        const copy = this.copyBuffer(buffer);
+        this.commit('Duplicate', () => {
+            const layers = [...this.layers];
+            layers.splice(index, 0, copy);
+            this.layers = layers;
+            this.strips.set(copy, new ChannelStrip(this.stripFor(buffer).settings()));
+            this.layerOffsets.set(copy, this.layerOffsets.get(buffer) || 0);
+        });
+        this.refreshPlayback();
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    /**
+     * Merge layers (indices into tracks(); the master can't be bounced) into one new layer,
+     * rendered through their channel strips: level, pan and effects are printed into the
+     * audio, mute/solo, the output bus and the master fader are not. The new layer takes
+     * the place of the first one and starts with a flat strip.
+     */
+    async bounceTracks(indices) {
+        const tracks = this.tracks();
+        const buffers = [...new Set(indices)].filter(i => i > 0 && tracks[i]).sort((a, b) => a - b).map(i => tracks[i]);
+        if (buffers.length < 2 || this.isRecording) return null;
+
+        const bounced = await this.renderTracks(buffers, 1, false, false);
+        // Anything could have changed while rendering: only bounce layers that are still there
+        if (!buffers.every(buf => this.layers.includes(buf))) return null;
+
+        this.commit('Bounce', () => {
+            const at = this.layers.indexOf(buffers[0]);
+            const layers = this.layers.filter(buf => !buffers.includes(buf));
+            layers.splice(at, 0, bounced);
+            this.layers = layers;
+            this.layerOffsets.set(bounced, this.layerOffsets.get(buffers[0]) || 0);
+        });
+        buffers.forEach(buf => this.removeStrip(buf));
+        this.refreshPlayback();
+        this.updateMix();
+        this.emit('tracks');
+        return bounced;
+    }
+
+    // === EFFECTS RACK ===
+
+    /**
+     * The effect chain of a track (index into tracks()), or of the output bus for null.
+     * `key` names it in history entries so slider drags merge.
+     */
+    effectChain(track) {
+        if (track === null) return { chain: this.busFx, key: 'bus' };
+        const buffer = this.tracks()[track];
+        return buffer ? { chain: this.stripFor(buffer).fx, key: this.trackKey(buffer) } : null;
+    }
+
+    addEffect(track, type) {
+        const target = this.effectChain(track);
+        if (!target || !EFFECTS[type]) return;
+        this.commit(`Add ${EFFECTS[type].label}`, () => { target.chain.effects.push(new Effect({ type })); });
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    removeEffect(track, slot) {
+        const target = this.effectChain(track);
+        const effect = target?.chain.effects[slot];
+        if (!effect) return;
+        this.commit(`Remove ${EFFECTS[effect.type].label}`, () => { target.chain.effects.splice(slot, 1); });
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    toggleEffectBypass(track, slot) {
+        const target = this.effectChain(track);
+        const effect = target?.chain.effects[slot];
+        if (!effect) return;
+        this.commit(effect.bypass ? 'Enable effect' : 'Bypass effect', () => { effect.bypass = !effect.bypass; });
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    setEffectParam(track, slot, name, value) {
+        const target = this.effectChain(track);
+        const effect = target?.chain.effects[slot];
+        if (!effect || !(name in effect.params)) return;
+        this.commit(`${EFFECTS[effect.type].label} ${name}`, () => { effect.params[name] = value; },
+            `fx:${target.key}:${slot}:${name}`);
+        this.updateMix();
+    }
+
+    createLoopSource(buffer) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        this.connectToStrip(source, buffer);
+        return source;
+    }
+
+    /**
+     * Start a newly added layer in sync with the running loop, in whichever
+     * node set (current scene and/or queued scene) should be playing it.
+     */
+    startLayerNode(buffer, sceneIndex) {
+        if (!this.isPlaying) return;
+
+        if (sceneIndex === this.activeScene) {
+            const elapsedTime = (this.ctx.currentTime - this.loopStartTime) % this.loopDuration;
+            const source = this.createLoopSource(buffer);
+            source.start(0, elapsedTime);
+            if (this.pendingScene !== null) source.stop(this.pendingSceneTime);
+            this.layerNodes.push(source);
+        }
+        if (sceneIndex === this.pendingScene) {
+            const source = this.createLoopSource(buffer);
+            source.start(this.pendingSceneTime, 0);
+            this.pendingNodes.push(source);
+        }
+    }
+
+    // === SCENES ===
+
+    /**
+     * Select a scene. While playing, the change is scheduled on the audio clock for
+     * the next loop wrap, so the old layers stop and the new ones start sample-exactly.
+     */
+    queueScene(index) {
+        if (index < 0 || index >= this.scenes.length) return;
+        if (!this.isPlaying) {
+            this.switchScene(index);
+            return;
+        }
+
+        // Replace any previous queued change (its nodes have not started yet)
+        this.pendingNodes.forEach(node => { try { node.stop(); } catch (e) { } });
+
+        const now = this.ctx.currentTime;
+        const loopsDone = Math.floor((now - this.loopStartTime) / this.loopDuration);
+        let wrapTime = this.loopStartTime + (loopsDone + 1) * this.loopDuration;
+        if (wrapTime - now < 0.02) wrapTime += this.loopDuration; // Too close to schedule safely
+
+        this.pendingScene = index;
+        this.pendingSceneTime = wrapTime;
+        this.layerNodes.forEach(node => node.stop(wrapTime));
+        this.pendingNodes = this.scenes[index].layers.map(buf => {
+            const source = this.createLoopSource(buf);
+            source.start(wrapTime, 0);
+            return source;
+        });
+        this.emit('scene');
+    }
+
+    // Immediate switch (nothing playing)
+    switchScene(index) {
+        this.activeScene = index;
+        this.pendingScene = null;
+        this.updateMix();
+        this.emit('tracks');
+        this.emit('scene');
+    }
+
+    // Called from tick() once the audio clock has passed the scheduled wrap
+    commitScene() {
+        this.activeScene = this.pendingScene;
+        this.layerNodes = this.pendingNodes;
+        this.pendingNodes = [];
+        this.pendingScene = null;
+        this.updateMix();
+        this.emit('tracks');
+        this.emit('scene');
+    }
+
+    // === HISTORY ===
+
+    // Every AudioBuffer the session currently uses
+    allBuffers() {
+        const buffers = this.scenes.flatMap(scene => scene.layers);
+        return this.masterBuffer ? [this.masterBuffer, ...buffers] : buffers;
+    }
+
+    /**
+     * Everything undo/redo restores. Cheap: AudioBuffers are shared by reference,
+     * never copied (recorded audio is never modified in place).
+     */
+    snapshot() {
+        const buffers = this.allBuffers();
+        return {
+            masterBuffer: this.masterBuffer,
+            loopDuration: this.loopDuration,
+            sessionId: this.sessionId,
+            sessionName: this.sessionName,
+            scenes: this.scenes.map(scene => [...scene.layers]),
+            strips: new Map(buffers.map(buf => [buf, this.stripFor(buf).settings()])),
+            offsets: new Map(buffers.map(buf => [buf, this.layerOffsets.get(buf) || 0])),
+            outputVolume: this.outputVolume,
+            limiter: { ...this.limiter },
+            busEffects: this.busFx.settings(),
+            timePitch: { ...this.timePitch },
+            bpm: this.tempo.bpm
+        };
+    }
+
+    /**
+     * Run a state change as one undoable step.
+     * The caller refreshes playback/UI as it would without history.
+     */
+    commit(label, mutate, key = null) {
+        const before = this.snapshot();
+        mutate();
+        this.history.record(label, before, this.snapshot(), key, new Set(this.allBuffers()));
+        this.emit('history');
+    }
+
+    restoreSnapshot(snap) {
+        const position = this.currentPosition();
+        const masterChanged = snap.masterBuffer !== this.masterBuffer || snap.loopDuration !== this.loopDuration;
+        const layersChanged = snap.scenes.some((layers, i) =>
+            layers.length !== this.scenes[i].layers.length || layers.some((buf, j) => buf !== this.scenes[i].layers[j]));
+
+        const live = new Set(this.allBuffers());
+        live.forEach(buf => { if (!snap.strips.has(buf)) this.removeStrip(buf); });
+
+        this.masterBuffer = snap.masterBuffer;
+        this.loopDuration = snap.loopDuration;
+        this.sessionId = snap.sessionId;
+        this.sessionName = snap.sessionName;
+        snap.scenes.forEach((layers, i) => { this.scenes[i].layers = [...layers]; });
+        snap.strips.forEach((settings, buf) => this.stripFor(buf).apply(settings));
+        this.layerOffsets = new Map(snap.offsets);
+        this.outputVolume = snap.outputVolume;
+        this.limiter = { ...snap.limiter };
+        this.busFx = new EffectChain(snap.busEffects);
+        const timePitchChanged = snap.timePitch.speed !== this.timePitch.speed || snap.timePitch.semitones !== this.timePitch.semitones;
+        this.timePitch = { ...snap.timePitch };
+        this.tempo.bpm = snap.bpm;
+        this.applyTempo();
+        if (timePitchChanged) this.emit('timepitch');
+
+        if (!this.masterBuffer) {
+            this.stop();
+            this.emit('state', 'READY');
+        } else if (masterChanged) {
+            if (this.isPlaying) this.play(position % this.loopDuration); // Restart against the new loop
+            else this.emit('state', 'STOPPED');
+        } else if (layersChanged) {
+            this.refreshPlayback();
+        }
+
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    /**
+     * Swap the playing layer nodes for the current layer stacks without
+     * touching the master (the loop keeps running).
+     */
+    refreshPlayback() {
+        if (!this.isPlaying) return;
+        [...this.layerNodes, ...this.pendingNodes].forEach(node => { try { node.stop(); } catch (e) { } });
+        this.layerNodes = [];
+        this.pendingNodes = [];
+
+        const pending = this.pendingScene;
+        this.pendingScene = null;
+        this.layers.forEach(buf => this.startLayerNode(buf, this.activeScene));
+        if (pending !== null) this.queueScene(pending);
+    }
+
+    undo() {
+        if (this.isRecording) return;
+        const snap = this.history.undo();
+        if (!snap) return;
+        this.restoreSnapshot(snap);
+        this.emit('history');
+    }
+
+    redo() {
+        if (this.isRecording) return;
+        const snap = this.history.redo();
+        if (!snap) return;
+        this.restoreSnapshot(snap);
+        this.emit('history');
+    }
+
+    /**
+     * Delete one layer (trackIndex as in tracks(): 1 = first layer of the active scene).
+     */
+    deleteLayer(trackIndex) {
+        const buffer = this.tracks()[trackIndex];
+        if (!buffer || buffer === this.masterBuffer) return;
+        this.commit('Delete layer', () => {
+            this.layers = this.layers.filter(buf => buf !== buffer);
+        });
+        this.removeStrip(buffer);
+        this.refreshPlayback();
+        this.updateMix();
+        this.emit('tracks');
+    }
+
+    /**
+     * Clear the active scene. If no other scene holds layers, reset everything (master included).
+     * Undoable like everything else.
+     */
+    clear() {
+        if (this.scenes.some((scene, i) => i !== this.activeScene && scene.layers.length > 0)) {
+            const removed = this.layers;
+            this.commit('Clear scene', () => { this.layers = []; });
+            removed.forEach(buf => this.removeStrip(buf));
+            this.refreshPlayback();
+            this.emit('tracks');
+            return;
+        }
+
+        if (!this.masterBuffer) return;
+        this.commit('Clear', () => {
+            this.stop();
+            this.tracks().forEach(buf => this.removeStrip(buf));
+            this.masterBuffer = null;
+            this.scenes.forEach(scene => { scene.layers = []; });
+            this.layerOffsets.clear();
+            this.loopDuration = 0;
+            this.timePitch = { speed: 1, semitones: 0 };
+            this.sessionId = null; // The saved session stays in the list; the next master starts a new one
+        });
+        this.emit('timepitch');
+        this.emit('state', 'READY');
+        this.emit('tracks');
+    }
+
+    // === SESSIONS ===
+
+    startSession() {
+        if (this.sessionId) return;
+        this.sessionId = newId();
+        this.sessionName = `Session ${new Date().toLocaleString()}`;
+    }
+
+    bufferId(buffer) {
+        if (!this.bufferIds.has(buffer)) this.bufferIds.set(buffer, newId());
+        return this.bufferIds.get(buffer);
+    }
+
+    // Edits make new buffers (with new ids): this one stays with the track, for merging undo steps
+    trackKey(buffer) {
+        if (!this.trackKeys.has(buffer)) this.trackKeys.set(buffer, this.bufferId(buffer));
+        return this.trackKeys.get(buffer);
+    }
+
+    /**
+     * Snapshot of the session: a JSON-able manifest (tempo, mixer, scenes, offsets)
+     * plus the audio as a Map of buffer id -> Float32Array per channel.
+     */
+    serialize() {
+        if (!this.masterBuffer) return null;
+        const audio = new Map();
+
+        const describe = (buffer) => {
+            const id = this.bufferId(buffer);
+            const channels = [];
+            for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+            audio.set(id, channels);
+            return {
+                id,
+                channels: buffer.numberOfChannels,
+                length: buffer.length,
+                offset: this.layerOffsets.get(buffer) || 0,
+                mixer: this.stripFor(buffer).settings()
+            };
+        };
+
+        const manifest = {
+            format: 'web-sampler-session',
+            version: 1,
+            id: this.sessionId,
+            name: this.sessionName,
+            updatedAt: Date.now(),
+            sampleRate: this.masterBuffer.sampleRate,
+            loopDuration: this.loopDuration,
+            tempo: { ...this.tempo },
+            timePitch: { ...this.timePitch },
+            outputVolume: this.outputVolume,
+            limiter: { ...this.limiter },
+            busEffects: this.busFx.settings(),
+            activeScene: this.activeScene,
+            master: describe(this.masterBuffer),
+            scenes: this.scenes.map(scene => ({ name: scene.name, layers: scene.layers.map(describe) }))
+        };
+        return { manifest, audio };
+    }
+
+    /**
+     * Replace the current session with a serialized one (from IndexedDB or a project file).
+     */
+    async restore({ manifest, audio }) {
+        await this.ensureContext();
+        this.stop();
+        this.tracks().forEach(buf => this.removeStrip(buf));
+        this.scenes.forEach(scene => scene.layers.forEach(buf => this.removeStrip(buf)));
+        this.layerOffsets.clear();
+
+        const load = async (info) => {
+            let buffer = this.ctx.createBuffer(info.channels, info.length, manifest.sampleRate);
+            audio.get(info.id).forEach((data, ch) => buffer.copyToChannel(data, ch));
+            if (manifest.sampleRate !== this.ctx.sampleRate) {
+                buffer = await this.resample(buffer, this.ctx.sampleRate); // New audio, so it gets a new id
+            } else {
+                this.bufferIds.set(buffer, info.id);
+            }
+            this.strips.set(buffer, new ChannelStrip(info.mixer));
+            // Offsets are saved in samples at the saved rate
+            if (info.offset) this.layerOffsets.set(buffer, Math.round(info.offset * buffer.length / info.length) % buffer.length);
+            return buffer;
+        };
+
+        this.masterBuffer = await load(manifest.master);
+        this.loopDuration = this.masterBuffer.duration;
+        for (let i = 0; i < this.scenes.length; i++) {
+            const saved = manifest.scenes[i];
+            this.scenes[i].layers = [];
+            if (!saved) continue;
+            for (const info of saved.layers) this.scenes[i].layers.push(await load(info));
+        }
+
+        this.sessionId = manifest.id;
+        this.sessionName = manifest.name;
+        this.tempo = { ...this.tempo, ...manifest.tempo };
+        this.applyTempo();
+        // Saved audio is already processed: it becomes the source for further changes
+        this.timePitch = { speed: 1, semitones: 0, ...manifest.timePitch };
+        this.emit('timepitch');
+        this.outputVolume = manifest.outputVolume ?? 1;
+        this.limiter = { enabled: true, ceiling: -1, ...manifest.limiter };
+        this.busFx = new EffectChain(manifest.busEffects);
+        this.activeScene = Math.min(manifest.activeScene || 0, this.scenes.length - 1);
+        this.pendingScene = null;
+        this.history.clear(); // A different session: nothing to undo into
+        this.emit('history');
+
+        this.updateMix();
+        this.emit('state', 'STOPPED');
+        this.emit('tracks');
+        this.emit('scene');
+    }
+
+    // Render a buffer at another sample rate
+    async resample(buffer, sampleRate) {
+        const length = Math.round(buffer.length * sampleRate / buffer.sampleRate);
+        const offlineCtx = this.createOfflineContext(buffer.numberOfChannels, length, sampleRate);
+        const source = offlineCtx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(offlineCtx.destination);
+        source.start(0);
+        return offlineCtx.startRendering();
+    }
+
+    createOfflineContext(channels, length, sampleRate) {
+        if (this.options.createOfflineContext) return this.options.createOfflineContext(channels, length, sampleRate);
+        return new OfflineAudioContext(channels, length, sampleRate);
+    }
+
+    /**
+     * The session as a project file: { blob, filename }, or null when there is nothing to export.
+     */
+    exportProject() {
+        const project = this.serialize();
+        if (!project) {
+            this.fail('NOTHING_TO_EXPORT', "Nothing to export!");
+            return null;
+        }
+        return { blob: packProject(project), filename: "my-loop-project.zip" };
+    }
+
+    /**
+     * Open a project file as a new session (the original session is left untouched).
+     */
+    async importProject(file) {
+        try {
+            const project = unpackProject(await file.arrayBuffer());
+            project.manifest.id = newId();
+            await this.restore(project);
+        } catch (err) {
+            this.fail('PROJECT_INVALID', "Could not open project file.", err);
+        }
+    }
+
+    /**
+     * Render the loop to { blob, filename } (null when there is nothing to export).
+     * mode: 'mix' (one WAV), 'stems' (one WAV per track, zipped) or 'both' (mix + stems, zipped)
+     * bitDepth: 16 / 24 (integer PCM) or 32 (float); repeats: how many loop passes to render
+     * normalize / target: the mix's normalization (see masterMix); stems are left as they are
+     */
+    async exportWav({ mode = 'mix', bitDepth = 16, repeats = 1, normalize = 'off', target = -1 } = {}) {
+        if (!this.masterBuffer) {
+            this.fail('NOTHING_TO_EXPORT', "Nothing to export!");
+            return null;
+        }
+
+        const tracks = this.tracks();
+        const files = [];
+
+        if (mode !== 'stems') {
+            const mix = await this.renderTracks(tracks, repeats, true);
+            const { buffer, report } = this.masterMix(mix, { normalize, target, period: this.masterBuffer.length });
+            this.reportLoudness(report);
+            files.push({ name: 'my-loop.wav', data: this.audioBufferToWav(buffer, bitDepth) });
+        }
+
+        if (mode !== 'mix') {
+            // Stems keep their volume/pan but ignore mute/solo: every track gets a file
+            for (let i = 0; i < tracks.length; i++) {
+                const stem = await this.renderTracks([tracks[i]], repeats, false);
+                files.push({ name: this.stemName(i), data: this.audioBufferToWav(stem, bitDepth) });
+            }
+        }
+
+        if (files.length === 1) {
+            return { blob: new Blob([files[0].data], { type: "audio/wav" }), filename: files[0].name };
+        }
+        return { blob: createZip(files.map(f => ({ name: f.name, data: new Uint8Array(f.data.buffer) }))), filename: "my-loop-stems.zip" };
+    }
+
+    // e.g. "01-loop.wav", "02-A-layer-1.wav"
+    stemName(index) {
+        const number = String(index + 1).padStart(2, '0');
+        const scene = this.scenes[this.activeScene].name;
+        return index === 0 ? `${number}-loop.wav` : `${number}-${scene}-layer-${index}.wav`;
+    }
+
+    /**
+     * Mix tracks through copies of their channel strips (and, for the mix, the output bus
+     * effects) in an OfflineAudioContext, so the file matches what we hear.
+     * With respectMix off, mute/solo and bus effects are ignored (stems); with throughMaster
+     * off, so is the master fader (bounces).
+     */
+    async renderTracks(tracks, repeats = 1, respectMix = true, throughMaster = true) {
+        // Delay/reverb tails wrap around while looping live: render one extra pass first
+        // and drop it, so the start of the file already carries the previous pass's tail
+        const chains = tracks.map(buf => this.stripFor(buf).fx);
+        if (respectMix) chains.push(this.busFx);
+        const preroll = chains.some(chain => chain.hasTail) ? this.masterBuffer.length : 0;
+
+        // Length: whole master loops
+        const length = this.masterBuffer.length * repeats;
+        const channels = 2;
+        const sampleRate = this.ctx.sampleRate;
+
+        const offlineCtx = this.createOfflineContext(channels, preroll + length, sampleRate);
+        const output = offlineCtx.createGain();
+        output.gain.value = throughMaster ? this.outputVolume : 1;
+        output.connect(offlineCtx.destination);
+
+        let destination = output;
+        if (respectMix) {
+            const bus = this.busFx.createNodes(offlineCtx);
+            bus.output.connect(output);
+            destination = bus.input;
+        }
+
+        tracks.forEach(buf => {
+            const strip = this.stripFor(buf);
+            const source = offlineCtx.createBufferSource();
+            source.buffer = buf;
+            source.loop = true;
+            source.connect(strip.createNodes(offlineCtx, destination, !respectMix || this.isAudible(strip)).input);
+            source.start(0);
+        });
+
+        const rendered = await offlineCtx.startRendering();
+        if (!preroll) return rendered;
+
+        const trimmed = this.ctx.createBuffer(channels, length, sampleRate);
+        for (let ch = 0; ch < channels; ch++) {
+            trimmed.copyToChannel(rendered.getChannelData(ch).subarray(preroll), ch);
+        }
+        return trimmed;
+    }
+
+    // Simple WAV Encoder
+    audioBufferToWav(buffer, bitDepth = 16) {
+        const numChannels = buffer.numberOfChannels;
+        const sampleRate = buffer.sampleRate;
+
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) channels.push(buffer.getChannelData(ch));
+        const result = numChannels === 1 ? channels[0] : this.interleave(channels);
+
+        return this.encodeWAV(result, numChannels, sampleRate, bitDepth);
+    }
+
+    interleave(inputs) {
+        const numChannels = inputs.length;
+        const result = new Float32Array(inputs[0].length * numChannels);
+        for (let i = 0; i < inputs[0].length; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                result[i * numChannels + ch] = inputs[ch][i];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Interleaved float samples -> WAV.
+     * 16/24-bit are integer PCM (format 1), 32-bit is IEEE float (format 3).
+     */
+    encodeWAV(samples, numChannels, sampleRate, bitDepth = 16) {
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataLength = samples.length * bytesPerSample;
+        const buffer = new ArrayBuffer(44 + dataLength);
+        const view = new DataView(buffer);
+
+        const writeString = (view, offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+
+        /* RIFF identifier */
+        writeString(view, 0, 'RIFF');
+        /* RIFF chunk length */
+        view.setUint32(4, 36 + dataLength, true);
+        /* RIFF type */
+        writeString(view, 8, 'WAVE');
+        /* format chunk identifier */
+        writeString(view, 12, 'fmt ');
+        /* format chunk length */
+        view.setUint32(16, 16, true);
+        /* sample format (1 = integer PCM, 3 = IEEE float) */
+        view.setUint16(20, bitDepth === 32 ? 3 : 1, true);
+        /* channel count */
+        view.setUint16(22, numChannels, true);
+        /* sample rate */
+        view.setUint32(24, sampleRate, true);
+        /* byte rate (sample rate * block align) */
+        view.setUint32(28, sampleRate * blockAlign, true);
+        /* block align (channel count * bytes per sample) */
+        view.setUint16(32, blockAlign, true);
+        /* bits per sample */
+        view.setUint16(34, bitDepth, true);
+        /* data chunk identifier */
+        writeString(view, 36, 'data');
+        /* data chunk length */
+        view.setUint32(40, dataLength, true);
+
+        const floatTo16BitPCM = (output, offset, input) => {
+            for (let i = 0; i < input.length; i++, offset += 2) {
+                const s = Math.max(-1, Math.min(1, input[i]));
+                output.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+            }
+        };
+
+        const floatTo24BitPCM = (output, offset, input) => {
+            for (let i = 0; i < input.length; i++, offset += 3) {
+                const s = Math.max(-1, Math.min(1, input[i]));
+                const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+                output.setUint8(offset, v & 0xFF);
+                output.setUint8(offset + 1, (v >> 8) & 0xFF);
+                output.setUint8(offset + 2, (v >> 16) & 0xFF);
+            }
+        };
+
+        const writeFloat32 = (output, offset, input) => {
+            for (let i = 0; i < input.length; i++, offset += 4) {
+                output.setFloat32(offset, input[i], true);
+            }
+        };
+
+        if (bitDepth === 24) {
+            floatTo24BitPCM(view, 44, samples);
+        } else if (bitDepth === 32) {
+            writeFloat32(view, 44, samples);
+        } else {
+            floatTo16BitPCM(view, 44, samples);
+        }
+
+        return view;
+    }
+
+    tick() {
+        if (!this.isPlaying) return;
+
+        // Calculate progress 0.0 - 1.0
+        const elapsed = (this.ctx.currentTime - this.loopStartTime) % this.loopDuration;
+        const progress = elapsed / this.loopDuration;
+
+        if (this.pendingScene !== null && this.ctx.currentTime >= this.pendingSceneTime) {
+            this.commitScene();
+        }
+
+        this.emit('progress', progress, this.beatPosition(elapsed));
+        this.tickHandle = this.requestFrame(() => this.tick());
+    }
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        Looper,
+        LooperError,
+        ChannelStrip,
+        Effect,
+        EffectChain,
+        EFFECTS,
+        Metronome,
+        LevelMeter,
+        INPUT_DEFAULTS,
+        measureLoudness,
+        truePeak,
+        limitLoop,
+        PerformanceRecorder,
+        findContent,
+        nearestZeroCrossing,
+        loopSegment,
+        History,
+        createZip,
+        readZip,
+        crc32,
+        packProject,
+        unpackProject,
+        detectOnsets,
+        median,
+        wsolaStretch,
+        resampleLoop,
+        stretchLoop,
+        newId
+    };
+}
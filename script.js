@@ -1,468 +1,323 @@
 /**
- * Web Sampler - Core Logic
- * Handles AudioContext, Recording, Looping, and UI interaction.
+ * Web Sampler - UI
+ * Binds the looper engine (looper.js) to the page: panels, keyboard/MIDI input and visuals.
  */
 
-class Looper {
-    constructor() {
-        this.ctx = null;
-        this.stream = null;
-        this.input = null;
-        this.recorder = null;
-        this.isPlaying = false;
-
-        // Audio State
-        this.masterBuffer = null;
-        this.layers = []; // Array of AudioBuffers
-        this.loopDuration = 0; // in seconds
-        this.loopStartTime = 0; // audioContext time when loop started playing
-
-        // Recording State
-        this.isRecording = false;
-        this.recordingStartTime = 0;
-        this.recordedChunks = [];
-
-        // Settings
-        this.maxLoopLength = 10; // seconds
-        this.latencyCompensationS = 0.05; // 50ms manual tweak for input latency
-
-        // UI Callbacks
-        this.onStateChange = () => { };
-        this.onProgress = () => { };
-
-        this.recordingLoopOffset = 0;
-        this.autoStopTimer = null;
-
-        // Visualizer
-        this.analyser = null;
-        this.dataArray = null;
-    }
-
-    async init() {
-        if (!this.ctx) {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            this.ctx = new AudioContext();
-
-            // Resume if suspended (browser autoplay policy)
-            if (this.ctx.state === 'suspended') {
-                await this.ctx.resume();
-            }
+// === STORAGE HELPERS ===
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.style.display = "none";
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+}
 
-            try {
-                this.stream = await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        echoCancellation: true, // Fix for speaker feedback (stops re-recording playback)
-                        noiseSuppression: true, // Helps with feedback squeal
-                        autoGainControl: false, // Keep false to preserve dynamics
-                        latency: 0
-                    }
-                });
-                this.input = this.ctx.createMediaStreamSource(this.stream);
-
-                // Analyser Setup
-                this.analyser = this.ctx.createAnalyser();
-                this.analyser.fftSize = 256;
-                this.input.connect(this.analyser);
-                const bufferLength = this.analyser.frequencyBinCount;
-                this.dataArray = new Uint8Array(bufferLength);
-
-                console.log("Audio Initialized");
-            } catch (err) {
-                console.error("Mic Error:", err);
-                alert("Could not access microphone. Ensure site is HTTPS and permitted.");
-            }
-        }
+/**
+ * IndexedDB persistence for sessions.
+ * 'sessions' holds each manifest; 'buffers' holds the audio (one record per AudioBuffer).
+ * Audio is immutable once recorded, so each buffer is written once and reused by later saves.
+ */
+class SessionStore {
+    constructor(dbName = 'web-sampler') {
+        this.dbName = dbName;
+        this.db = null;
+        this.written = new Set(); // "<session>/<buffer>" keys already in the DB
     }
 
-    /**
-     * Start recording a new layer.
-     * If no master loop, this starts the Master Loop recording.
-     */
-    async startRecording() {
-        if (this.isRecording) return;
-
-        // Ensure AudioContext and Stream are ready
-        if (!this.ctx || !this.stream) {
-            await this.init();
-            if (!this.stream) {
-                console.error("No stream available");
-                return;
-            }
-        }
-
-        // Double check state after await
-        if (this.ctx.state === 'suspended') {
-            await this.ctx.resume();
-        }
-
-        this.mimeType = 'audio/webm';
-        if (MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
-            this.mimeType = 'audio/webm;codecs=opus';
-        } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
-            this.mimeType = 'audio/mp4';
-        }
-
-        console.log("Using MIME Type:", this.mimeType);
-
-        this.isRecording = true;
-        this.recordedChunks = [];
-        try {
-            this.recorder = new MediaRecorder(this.stream, { mimeType: this.mimeType });
-        } catch (e) {
-            console.error("MediaRecorder init failed:", e);
-            alert("Microphone recording failed. Check console.");
-            this.isRecording = false;
-            return;
-        }
-
-        this.recorder.ondataavailable = (e) => {
-            if (e.data.size > 0) this.recordedChunks.push(e.data);
-        };
-
-        this.recorder.start();
-        this.recordingStartTime = this.ctx.currentTime;
+    async open() {
+        if (this.db) return this.db;
+        this.db = await new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                db.createObjectStore('sessions', { keyPath: 'id' });
+                db.createObjectStore('buffers', { keyPath: 'key' }).createIndex('session', 'session');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        return this.db;
+    }
 
-        // Track where in the loop we started recording (for alignment)
-        if (this.masterBuffer && this.isPlaying) {
-            this.recordingLoopOffset = (this.ctx.currentTime - this.loopStartTime) % this.loopDuration;
-        } else {
-            this.recordingLoopOffset = 0;
-            // Auto-stop if Master exceeds max length
-            this.autoStopTimer = setTimeout(() => {
-                if (this.isRecording && !this.masterBuffer) {
-                    this.stopRecording();
-                }
-            }, this.maxLoopLength * 1000);
-        }
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
 
-        this.onStateChange('RECORDING');
+    static done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     }
 
     /**
-     * Stop recording.
-     * If Master, sets loop length and starts playing.
-     * If Overdub, creates a layer synced to the loop.
+     * Newest first. Returns the manifests only (no audio).
      */
-    async stopRecording() {
-        if (!this.isRecording) return;
-
-        if (this.autoStopTimer) clearTimeout(this.autoStopTimer);
-
-        return new Promise(resolve => {
-            this.recorder.onstop = async () => {
-                this.isRecording = false;
-
-                const blob = new Blob(this.recordedChunks, { type: this.mimeType });
-
-                try {
-                    const arrayBuffer = await blob.arrayBuffer();
-                    const audioBuffer = await this.ctx.decodeAudioData(arrayBuffer);
-
-                    if (!this.masterBuffer) {
-                        // === MASTER LOOP LOGIC ===
-                        // Trim to exact recorded duration (or clamp to 10s)
-                        let duration = this.ctx.currentTime - this.recordingStartTime;
-                        // Use actual buffer duration to be safe, but clamp if absurdly long
-                        if (duration > this.maxLoopLength) duration = this.maxLoopLength;
-
-                        // Sanity check: verify audioBuffer duration matches 'duration' closely
-                        // Use the Buffer's play time as the source of truth for loop length to avoid gaps
-                        console.log("Master Loop Created. Duration:", audioBuffer.duration);
-                        this.masterBuffer = audioBuffer;
-                        this.loopDuration = audioBuffer.duration;
-
-                        // Immediately start playing
-                        this.play();
-                    } else {
-                        // === OVERDUB LOGIC ===
-                        // Align the new recording to the Master Loop
-                        // Create a silence-padded buffer matching the Master length
-                        if (this.masterBuffer) {
-                            const newLayer = this.ctx.createBuffer(
-                                this.masterBuffer.numberOfChannels,
-                                this.masterBuffer.length,
-                                this.masterBuffer.sampleRate
-                            );
-
-                            // Calculate sample offset
-                            // offsetTime / loopDuration * totalSamples
-                            const ratio = this.recordingLoopOffset / this.loopDuration;
-                            const sampleOffset = Math.floor(ratio * this.masterBuffer.length);
-
-                            // Copy data
-                            // Handle Loop Wrap-around?
-                            // For V1, if it spills over, we just truncate or let it wrap (simple: truncate for now)
-                            for (let ch = 0; ch < this.masterBuffer.numberOfChannels; ch++) {
-                                const destData = newLayer.getChannelData(ch);
-                                const srcData = audioBuffer.getChannelData(ch < audioBuffer.numberOfChannels ? ch : 0);
-
-                                // Simple copy with boundary check
-                                for (let i = 0; i < srcData.length; i++) {
-                                    const targetIdx = (sampleOffset + i) % newLayer.length; // Wrap around!
-                                    destData[targetIdx] += srcData[i]; // Mix? Or Overwrite?
-                                    // Spec implies layering, so mixing is better if we are destructively adding?
-                                    // No, 'layers' logic keeps them separate. So we just set the value.
-                                    destData[targetIdx] = srcData[i];
-                                }
-                            }
-
-                            this.layers.push(newLayer);
-                        }
-
-                        // Sync up: If we are playing, the new layer needs to start NOW?
-                        // Actually, since we padded it to be full loop length, we can just start it
-                        // synchronized with the Master Node's loop cycle.
-                        // But changing nodes mid-flight is tricky.
-                        // Simplest V1: Restart all loops to resync (might cause a click).
-                        // smooth playback: create just this node and start it at the correct offset?
-                        // "source.start(0, currentLoopTime)"
-
-                        if (this.isPlaying) {
-                            const elapsedTime = (this.ctx.currentTime - this.loopStartTime) % this.loopDuration;
-                            // Add just this layer
-                            const source = this.ctx.createBufferSource();
-                            source.buffer = this.layers[this.layers.length - 1]; // The new one
-                            source.loop = true;
-                            source.connect(this.ctx.destination);
-                            source.start(0, elapsedTime);
-                            this.layerNodes.push(source);
-                        }
-                    }
-                } catch (err) {
-                    console.error("Audio Decode Error:", err);
-                    alert("Failed to process audio. Format might be unsupported.");
-                }
-                resolve();
-            };
+    async list() {
+        const db = await this.open();
+        const sessions = await SessionStore.request(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
 
-            this.recorder.stop();
+    async load(id) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'buffers']);
+        const manifest = await SessionStore.request(tx.objectStore('sessions').get(id));
+        if (!manifest) throw new Error(`Session ${id} not found`);
+        const records = await SessionStore.request(tx.objectStore('buffers').index('session').getAll(id));
+
+        const audio = new Map();
+        records.forEach(record => {
+            audio.set(record.id, record.channels);
+            this.written.add(record.key);
         });
+        return { manifest, audio };
     }
 
-    play() {
-        if (this.isPlaying) this.stop();
-
-        if (!this.masterBuffer) return;
-
-        this.isPlaying = true;
-        this.loopStartTime = this.ctx.currentTime;
-        this.scheduleLoops();
-        this.onStateChange('PLAYING');
+    async save({ manifest, audio }) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'buffers'], 'readwrite');
+        const buffers = tx.objectStore('buffers');
+        const added = [];
+
+        tx.objectStore('sessions').put(manifest);
+        audio.forEach((channels, id) => {
+            const key = `${manifest.id}/${id}`;
+            if (this.written.has(key)) return;
+            buffers.put({ key, session: manifest.id, id, channels });
+            added.push(key);
+        });
 
-        // Start animation loop
-        this.tick();
-    }
+        // Drop audio no longer referenced (undone / cleared layers)
+        const keys = await SessionStore.request(buffers.index('session').getAllKeys(manifest.id));
+        keys.forEach(key => {
+            if (!audio.has(key.slice(manifest.id.length + 1))) {
+                buffers.delete(key);
+                this.written.delete(key);
+            }
+        });
 
-    stop() {
-        this.isPlaying = false;
-        if (this.ctx && this.ctx.state === 'running') {
-            // Stop specific nodes in v2, for now suspend is okay but aggressive.
-            // Better: Stop all tracked nodes.
-            if (this.masterNode) { try { this.masterNode.stop(); } catch (e) { } }
-            this.layers.forEach(node => { try { node.stop(); } catch (e) { } });
-            this.layerNodes = []; // Clear references
-        }
-        this.onStateChange('STOPPED');
+        await SessionStore.done(tx);
+        added.forEach(key => this.written.add(key));
     }
 
-    togglePlay() {
-        if (this.isPlaying) {
-            this.stop();
-        } else {
-            this.play();
-        }
+    async remove(id) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'buffers'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        const buffers = tx.objectStore('buffers');
+        const keys = await SessionStore.request(buffers.index('session').getAllKeys(id));
+        keys.forEach(key => {
+            buffers.delete(key);
+            this.written.delete(key);
+        });
+        await SessionStore.done(tx);
     }
+}
 
-    scheduleLoops() {
-        if (!this.isPlaying) return;
-        this.layerNodes = []; // Reset tracker
+// === CONTROL BINDINGS ===
+
+// Everything a key, pedal or MIDI button can trigger
+const CONTROL_ACTIONS = [
+    { id: 'record', label: 'Record' },
+    { id: 'play', label: 'Play / Stop' },
+    { id: 'undo', label: 'Undo' },
+    { id: 'redo', label: 'Redo' },
+    { id: 'clear', label: 'Clear' },
+    ...['A', 'B', 'C', 'D'].map((name, i) => ({ id: `scene-${i}`, label: `Scene ${name}` })),
+    ...[0, 1, 2, 3, 4, 5, 6, 7].map(i => ({ id: `mute-${i}`, label: i === 0 ? 'Mute Loop' : `Mute Layer ${i}` }))
+];
+
+const DEFAULT_BINDINGS = {
+    'key:Space': 'record',
+    'key:Enter': 'play',
+    'key:Backspace': 'undo',
+    'key:Shift+Backspace': 'redo',
+    'key:Digit1': 'scene-0',
+    'key:Digit2': 'scene-1',
+    'key:Digit3': 'scene-2',
+    'key:Digit4': 'scene-3'
+};
 
-        const playSource = (buffer) => {
-            const source = this.ctx.createBufferSource();
-            source.buffer = buffer;
-            source.loop = true;
-            source.connect(this.ctx.destination);
-            source.start(0, 0);
-            return source;
-        };
+/**
+ * Maps inputs to actions and remembers the mapping (localStorage).
+ * Inputs are strings: "key:Shift+Backspace", "midi:note:<channel>:<note>", "midi:cc:<channel>:<cc>".
+ * In learn mode the next input pressed is bound to the action being learned.
+ */
+class ControlBindings {
+    constructor() {
+        this.bindings = new Map(Object.entries(DEFAULT_BINDINGS)); // input -> action id
+        this.recordMode = 'hold'; // 'hold' (momentary) or 'tap' (latching)
+        this.learning = null; // Action id waiting for an input
+        this.held = new Map(); // Physical key/note/CC currently down -> action id
+        this.midi = null; // MIDIAccess once enabled
 
-        // Play Master
-        this.masterNode = playSource(this.masterBuffer);
+        this.onAction = (action, pressed) => { };
+        this.onChange = () => { };
 
-        // Play Layers
-        this.layers.forEach(buf => {
-            this.layerNodes.push(playSource(buf));
-        });
+        this.load();
     }
 
-    undo() {
-        if (this.layers.length > 0) {
-            this.layers.pop();
-            // Restarts playback to reflect change if playing
-            if (this.isPlaying) {
-                this.stop();
-                this.play();
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('web-sampler.bindings'));
+            if (saved) {
+                this.bindings = new Map(Object.entries(saved.bindings));
+                this.recordMode = saved.recordMode || 'hold';
             }
-        } else if (this.masterBuffer) {
-            this.clear();
+        } catch (e) {
+            console.warn("Ignoring saved control bindings:", e);
         }
     }
 
-    clear() {
-        this.stop();
-        this.masterBuffer = null;
-        this.layers = [];
-        this.loopDuration = 0;
-        this.onStateChange('READY');
+    save() {
+        localStorage.setItem('web-sampler.bindings', JSON.stringify({
+            bindings: Object.fromEntries(this.bindings),
+            recordMode: this.recordMode
+        }));
+        this.onChange();
     }
 
-    exportWav() {
-        if (!this.masterBuffer) {
-            alert("Nothing to export!");
-            return;
-        }
+    bind(input, action) {
+        this.bindings.set(input, action);
+        this.save();
+    }
 
-        // Mix down all buffers to a single buffer
-        // 1. Determine total length (Master loop length)
-        const length = this.masterBuffer.length;
-        const channels = 2;
-        const sampleRate = this.ctx.sampleRate;
+    unbind(action) {
+        [...this.bindings].forEach(([input, bound]) => { if (bound === action) this.bindings.delete(input); });
+        this.save();
+    }
 
-        // 2. Create offline context to render the mix
-        const offlineCtx = new OfflineAudioContext(channels, length, sampleRate);
+    reset() {
+        this.bindings = new Map(Object.entries(DEFAULT_BINDINGS));
+        this.save();
+    }
 
-        const addToMix = (buf) => {
-            const source = offlineCtx.createBufferSource();
-            source.buffer = buf;
-            source.connect(offlineCtx.destination);
-            source.start(0);
-        };
+    setRecordMode(mode) {
+        this.recordMode = mode === 'tap' ? 'tap' : 'hold';
+        this.save();
+    }
 
-        addToMix(this.masterBuffer);
-        this.layers.forEach(l => addToMix(l));
-
-        offlineCtx.startRendering().then(renderedBuffer => {
-            // 3. Encode to WAV
-            const wavData = this.audioBufferToWav(renderedBuffer);
-            const blob = new Blob([wavData], { type: "audio/wav" });
-            const url = URL.createObjectURL(blob);
-
-            // 4. Download
-            const a = document.createElement("a");
-            a.style.display = "none";
-            a.href = url;
-            a.download = "my-loop.wav";
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-        });
+    learn(action) {
+        this.learning = action;
+        this.onChange();
     }
 
-    // Simple WAV Encoder
-    audioBufferToWav(buffer) {
-        const numChannels = buffer.numberOfChannels;
-        const sampleRate = buffer.sampleRate;
-        const format = 1; // PCM
-        const bitDepth = 16;
+    inputsFor(action) {
+        return [...this.bindings].filter(([, bound]) => bound === action).map(([input]) => input);
+    }
 
-        let result;
-        if (numChannels === 2) {
-            result = this.interleave(buffer.getChannelData(0), buffer.getChannelData(1));
-        } else {
-            result = buffer.getChannelData(0);
+    /**
+     * An input went down. `id` identifies the physical key/note/CC so repeats are
+     * ignored and the release finds the same action. Returns true when it was used.
+     */
+    press(id, input) {
+        if (this.learning) {
+            this.bind(input, this.learning);
+            this.learning = null;
+            this.onChange();
+            return true;
         }
-
-        return this.encodeWAV(result, numChannels, sampleRate, bitDepth);
+        if (this.held.has(id)) return this.held.get(id) !== null; // Auto-repeat
+        const action = this.bindings.get(input) || null;
+        this.held.set(id, action);
+        if (action) this.onAction(action, true);
+        return action !== null;
     }
 
-    interleave(inputL, inputR) {
-        const length = inputL.length + inputR.length;
-        const result = new Float32Array(length);
-        let index = 0;
-        let inputIndex = 0;
-        while (index < length) {
-            result[index++] = inputL[inputIndex];
-            result[index++] = inputR[inputIndex];
-            inputIndex++;
-        }
-        return result;
+    release(id) {
+        const action = this.held.get(id);
+        this.held.delete(id);
+        if (!action) return false;
+        this.onAction(action, false);
+        return true;
     }
 
-    encodeWAV(samples, numChannels, sampleRate, bitDepth) {
-        const buffer = new ArrayBuffer(44 + samples.length * 2);
-        const view = new DataView(buffer);
+    // "key:Ctrl+Shift+KeyZ"; a modifier pressed on its own is just its code
+    static keyInput(e) {
+        if (/^(Control|Alt|Shift|Meta)/.test(e.code)) return `key:${e.code}`;
+        const modifiers = [['ctrlKey', 'Ctrl'], ['altKey', 'Alt'], ['shiftKey', 'Shift'], ['metaKey', 'Meta']]
+            .filter(([flag]) => e[flag])
+            .map(([, name]) => name);
+        return `key:${[...modifiers, e.code].join('+')}`;
+    }
 
-        const writeString = (view, offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
+    // "Shift+Backspace", "Note 36 (ch 10)", "CC 64 (ch 1)"
+    static describe(input) {
+        const [source, ...rest] = input.split(':');
+        if (source === 'key') return rest.join(':');
+        const [kind, channel, number] = rest;
+        return `${kind === 'cc' ? 'CC' : 'Note'} ${number} (ch ${channel})`;
+    }
 
-        /* RIFF identifier */
-        writeString(view, 0, 'RIFF');
-        /* RIFF chunk length */
-        view.setUint32(4, 36 + samples.length * 2, true);
-        /* RIFF type */
-        writeString(view, 8, 'WAVE');
-        /* format chunk identifier */
-        writeString(view, 12, 'fmt ');
-        /* format chunk length */
-        view.setUint32(16, 16, true);
-        /* sample format (raw) */
-        view.setUint16(20, 1, true);
-        /* channel count */
-        view.setUint16(22, numChannels, true);
-        /* sample rate */
-        view.setUint32(24, sampleRate, true);
-        /* byte rate (sample rate * block align) */
-        view.setUint32(28, sampleRate * 4, true);
-        /* block align (channel count * bytes per sample) */
-        view.setUint16(32, numChannels * 2, true);
-        /* bits per sample */
-        view.setUint16(34, bitDepth, true);
-        /* data chunk identifier */
-        writeString(view, 36, 'data');
-        /* data chunk length */
-        view.setUint32(40, samples.length * 2, true);
-
-        const floatTo16BitPCM = (output, offset, input) => {
-            for (let i = 0; i < input.length; i++, offset += 2) {
-                const s = Math.max(-1, Math.min(1, input[i]));
-                output.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-            }
+    async enableMidi() {
+        if (!navigator.requestMIDIAccess) throw new Error("Web MIDI is not supported in this browser");
+        this.midi = await navigator.requestMIDIAccess();
+        // Devices can be plugged in later: (re)attach to every input on each change
+        const listen = () => this.midi.inputs.forEach(input => {
+            input.onmidimessage = (e) => this.handleMidi(e.data);
+        });
+        listen();
+        this.midi.onstatechange = () => {
+            listen();
+            this.onChange();
         };
-
-        floatTo16BitPCM(view, 44, samples);
-
-        return view;
+        this.onChange();
     }
 
-    tick() {
-        if (!this.isPlaying) return;
-
-        // Calculate progress 0.0 - 1.0
-        const elapsed = (this.ctx.currentTime - this.loopStartTime) % this.loopDuration;
-        const progress = elapsed / this.loopDuration;
-
-        this.onProgress(progress);
-        requestAnimationFrame(() => this.tick());
+    // Note on/off, and CCs as switches (>= 64 is down, as sustain-style foot switches send)
+    handleMidi([status, data1, data2 = 0]) {
+        const type = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+        if (type === 0x90 || type === 0x80) {
+            const input = `midi:note:${channel}:${data1}`;
+            if (type === 0x90 && data2 > 0) this.press(input, input);
+            else this.release(input);
+        } else if (type === 0xb0) {
+            const input = `midi:cc:${channel}:${data1}`;
+            if (data2 >= 64) this.press(input, input);
+            else this.release(input);
+        }
     }
 }
 
 // === UI Logic ===
 const looper = new Looper();
+// The engine reports problems as events; the page shows them
+looper.on('error', (err) => alert(err.message));
 const circle = document.getElementById('loop-circle');
 const statusText = document.getElementById('status-text');
 const recIndicator = document.getElementById('recording-indicator');
+const beatDisplay = document.getElementById('beat-display');
 const canvas = document.getElementById('visualizer-canvas');
 const canvasCtx = canvas.getContext('2d');
 
 // visual updates
-looper.onStateChange = (state) => {
+looper.on('state', (state) => {
     // console.log("State:", state);
     circle.classList.remove('recording', 'playing', 'flash-white');
 
-    if (state === 'RECORDING') {
+    if (state === 'CALIBRATING') {
+        statusText.innerText = "Calibrating...";
+        recIndicator.innerText = "CAL";
+    } else if (state === 'COUNT_IN') {
+        statusText.innerText = "Count-in...";
+        circle.classList.add('recording');
+        recIndicator.innerText = "READY";
+    } else if (state === 'ARMED') {
+        statusText.innerText = looper.recordStartMode === 'threshold' ? "Armed: play to start..." : "Armed: waiting for the boundary...";
+        circle.classList.add('recording');
+        recIndicator.innerText = "ARM";
+    } else if (state === 'RECORDING') {
         statusText.innerText = "Recording...";
         circle.classList.add('recording');
         recIndicator.innerText = "REC";
@@ -473,20 +328,24 @@ looper.onStateChange = (state) => {
     } else if (state === 'STOPPED') {
         statusText.innerText = "Stopped";
         recIndicator.innerText = "PAUSE";
+        beatDisplay.innerText = "";
         circle.style.transform = `rotate(0deg)`; // Reset rotation
     } else {
         statusText.innerText = "Ready to Loop";
         recIndicator.innerText = "REC";
+        beatDisplay.innerText = "";
         circle.style.transform = `rotate(0deg)`;
     }
-};
+});
 
 let lastProgress = 0;
-looper.onProgress = (p) => {
+looper.on('progress', (p, position) => {
     // Rotate the circle based on progress
     const deg = p * 360;
     circle.style.transform = `rotate(${deg}deg)`;
 
+    beatDisplay.innerText = position ? `Bar ${position.bar} · Beat ${position.beat}` : "";
+
     // Detect Loop Wrap (progress drops from near 1.0 to near 0.0)
     if (p < lastProgress && looper.isPlaying) {
         // Flash!
@@ -495,8 +354,941 @@ looper.onProgress = (p) => {
         circle.classList.add('flash-white');
     }
     lastProgress = p;
+
+    playheadProgress = p;
+    drawTrackList();
+});
+
+// Track List: a waveform lane per track with the playhead. Click a lane to select it;
+// on the selected lane drag to nudge (Alt: fine), drag its edges to trim, its top corners to fade.
+// Shift-click layers to mark them for a bounce; the buttons below edit the selected track.
+const trackCanvas = document.getElementById('track-list');
+const trackCtx = trackCanvas.getContext('2d');
+const trackReadout = document.getElementById('track-readout');
+const LANE_HEIGHT = 40;
+const HANDLE_GRAB = 6; // px either side of a handle
+const peakCache = new WeakMap(); // buffer -> { width, peaks }
+const rangeCache = new WeakMap(); // buffer -> contentRange (edits always make new buffers)
+let lanesImage = null; // Offscreen copy of all lanes, redrawn only when the tracks change
+let selectedTrack = null;
+let bounceMarks = new Set(); // Layers shift-clicked to bounce along with the selected one
+let trackDrag = null; // { kind: 'nudge' | 'start' | 'end' | 'fadeIn' | 'fadeOut', x0, dx }
+let playheadProgress = 0;
+
+// Min/max per pixel column (all channels)
+const trackPeaks = (buffer, width) => {
+    const cached = peakCache.get(buffer);
+    if (cached && cached.width === width) return cached.peaks;
+
+    const peaks = new Float32Array(width * 2);
+    const step = buffer.length / width;
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+        const data = buffer.getChannelData(ch);
+        for (let x = 0; x < width; x++) {
+            let min = peaks[x * 2], max = peaks[x * 2 + 1];
+            for (let i = Math.floor(x * step); i < Math.floor((x + 1) * step); i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+            peaks[x * 2] = min;
+            peaks[x * 2 + 1] = max;
+        }
+    }
+    peakCache.set(buffer, { width, peaks });
+    return peaks;
 };
 
+const trackWidth = () => trackCanvas.clientWidth || 480;
+
+// Content start/end of a track in canvas x (a full-length track ends where it starts, one loop later)
+const trackHandles = (index) => {
+    const buffer = looper.tracks()[index];
+    if (!rangeCache.has(buffer)) rangeCache.set(buffer, looper.contentRange(buffer));
+    const { start, length } = rangeCache.get(buffer);
+    const width = trackWidth();
+    const startX = start / buffer.length * width;
+    const endX = ((start + length) % buffer.length) / buffer.length * width;
+    return { buffer, start, length, startX, endX: length === buffer.length && startX === 0 ? width : endX };
+};
+
+const renderTrackList = () => {
+    const tracks = looper.tracks();
+    if (selectedTrack !== null && selectedTrack >= tracks.length) selectedTrack = null;
+    bounceMarks = new Set([...bounceMarks].filter(index => index < tracks.length));
+    renderTrackEdits();
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = trackWidth();
+    const height = Math.max(1, tracks.length) * LANE_HEIGHT;
+    trackCanvas.style.height = `${height}px`;
+    trackCanvas.width = width * dpr;
+    trackCanvas.height = height * dpr;
+
+    lanesImage = document.createElement('canvas');
+    lanesImage.width = trackCanvas.width;
+    lanesImage.height = trackCanvas.height;
+    const g = lanesImage.getContext('2d');
+    g.scale(dpr, dpr);
+
+    tracks.forEach((buffer, index) => {
+        const top = index * LANE_HEIGHT;
+        const mid = top + LANE_HEIGHT / 2;
+        const strip = looper.stripFor(buffer);
+        g.fillStyle = index % 2 ? '#1c1c1c' : '#222';
+        g.fillRect(0, top, width, LANE_HEIGHT);
+
+        const peaks = trackPeaks(buffer, Math.round(width));
+        g.fillStyle = index === 0 ? '#4dff88' : '#4da6ff';
+        g.globalAlpha = looper.isAudible(strip) ? 0.9 : 0.3;
+        for (let x = 0; x < peaks.length / 2; x++) {
+            const min = peaks[x * 2] * (LANE_HEIGHT / 2 - 2);
+            const max = peaks[x * 2 + 1] * (LANE_HEIGHT / 2 - 2);
+            g.fillRect(x, mid - max, 1, Math.max(1, max - min));
+        }
+        g.globalAlpha = 1;
+
+        g.fillStyle = '#aaa';
+        g.font = '10px Inter, sans-serif';
+        g.fillText(index === 0 ? 'Loop' : `Layer ${index}`, 4, top + 12);
+    });
+
+    if (tracks.length === 0) {
+        g.fillStyle = '#666';
+        g.font = '12px Inter, sans-serif';
+        g.fillText('Record a loop to see its waveform.', 8, LANE_HEIGHT / 2 + 4);
+    }
+    drawTrackList();
+};
+
+const drawTrackList = () => {
+    if (!lanesImage) return;
+    const dpr = window.devicePixelRatio || 1;
+    const width = trackWidth();
+    trackCtx.setTransform(1, 0, 0, 1, 0, 0);
+    trackCtx.clearRect(0, 0, trackCanvas.width, trackCanvas.height);
+    trackCtx.drawImage(lanesImage, 0, 0);
+    trackCtx.scale(dpr, dpr);
+
+    trackCtx.strokeStyle = '#ffd24d';
+    trackCtx.setLineDash([4, 3]);
+    bounceMarks.forEach(index => trackCtx.strokeRect(1.5, index * LANE_HEIGHT + 1.5, width - 3, LANE_HEIGHT - 3));
+    trackCtx.setLineDash([]);
+
+    if (selectedTrack !== null) {
+        const top = selectedTrack * LANE_HEIGHT;
+        const { startX, endX } = trackHandles(selectedTrack);
+
+        // Nudge preview: the lane slides (and wraps) with the pointer
+        if (trackDrag && trackDrag.kind === 'nudge') {
+            const shift = ((trackDrag.dx % width) + width) % width;
+            const sy = top * dpr, sh = LANE_HEIGHT * dpr;
+            trackCtx.save();
+            trackCtx.setTransform(1, 0, 0, 1, 0, 0);
+            trackCtx.drawImage(lanesImage, 0, sy, (width - shift) * dpr, sh, shift * dpr, sy, (width - shift) * dpr, sh);
+            trackCtx.drawImage(lanesImage, (width - shift) * dpr, sy, shift * dpr, sh, 0, sy, shift * dpr, sh);
+            trackCtx.restore();
+        }
+
+        // Trim / fade preview: shade what will be silenced, draw the fade ramp
+        if (trackDrag && trackDrag.kind !== 'nudge') {
+            const edgeX = ['start', 'fadeIn'].includes(trackDrag.kind) ? startX : endX;
+            const x1 = Math.min(edgeX, edgeX + trackDrag.dx);
+            const x2 = Math.max(edgeX, edgeX + trackDrag.dx);
+            trackCtx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            if (trackDrag.kind === 'start' || trackDrag.kind === 'end') {
+                trackCtx.fillRect(x1, top, x2 - x1, LANE_HEIGHT);
+            } else {
+                trackCtx.beginPath();
+                trackCtx.moveTo(edgeX, top);
+                trackCtx.lineTo(edgeX + trackDrag.dx, top);
+                trackCtx.lineTo(edgeX, top + LANE_HEIGHT);
+                trackCtx.fill();
+            }
+        }
+
+        trackCtx.strokeStyle = '#fff';
+        trackCtx.lineWidth = 1;
+        trackCtx.strokeRect(0.5, top + 0.5, width - 1, LANE_HEIGHT - 1);
+
+        // Trim handles (edges) and fade handles (top corners)
+        trackCtx.fillStyle = '#ffd24d';
+        [startX, endX].forEach((x, i) => {
+            trackCtx.fillRect(x - 1, top, 2, LANE_HEIGHT);
+            trackCtx.fillRect(i === 0 ? x : x - 6, top, 6, 6);
+        });
+    }
+
+    // Playhead
+    const x = playheadProgress * width;
+    trackCtx.fillStyle = '#ff4d4d';
+    trackCtx.fillRect(x - 1, 0, 2, trackCanvas.height / dpr);
+};
+
+const describeDrag = () => {
+    const { buffer } = trackHandles(selectedTrack);
+    const samples = Math.round(trackDrag.dx / trackWidth() * buffer.length);
+    const ms = (Math.abs(samples) / buffer.sampleRate * 1000).toFixed(1);
+    const name = selectedTrack === 0 ? 'Loop' : `Layer ${selectedTrack}`;
+    const what = { nudge: 'nudge', start: 'trim start', end: 'trim end', fadeIn: 'fade in', fadeOut: 'fade out' }[trackDrag.kind];
+    trackReadout.innerText = `${name}: ${what} ${samples > 0 ? '+' : ''}${samples} samples (${ms} ms)`;
+    return samples;
+};
+
+trackCanvas.addEventListener('pointerdown', (e) => {
+    const index = Math.floor(e.offsetY / LANE_HEIGHT);
+    if (index >= looper.tracks().length) return;
+
+    if (e.shiftKey && index > 0) {
+        if (bounceMarks.has(index)) bounceMarks.delete(index);
+        else bounceMarks.add(index);
+        trackReadout.innerText = `${bounceTargets().length} layers to bounce`;
+        renderTrackEdits();
+        drawTrackList();
+        return;
+    }
+
+    if (index !== selectedTrack) {
+        selectedTrack = index;
+        trackReadout.innerText = index === 0 ? 'Loop selected' : `Layer ${index} selected`;
+        renderTrackEdits();
+        drawTrackList();
+        return;
+    }
+
+    const { startX, endX } = trackHandles(index);
+    const inTop = e.offsetY - index * LANE_HEIGHT < 10;
+    let kind = 'nudge';
+    if (Math.abs(e.offsetX - startX) <= HANDLE_GRAB && e.offsetX >= startX - 1) kind = inTop ? 'fadeIn' : 'start';
+    else if (Math.abs(e.offsetX - endX) <= HANDLE_GRAB && e.offsetX <= endX + 1) kind = inTop ? 'fadeOut' : 'end';
+
+    trackDrag = { kind, x0: e.offsetX, dx: 0 };
+    trackCanvas.setPointerCapture(e.pointerId);
+});
+
+trackCanvas.addEventListener('pointermove', (e) => {
+    if (!trackDrag) return;
+    trackDrag.dx = (e.offsetX - trackDrag.x0) / (e.altKey ? 16 : 1);
+    // Trims and fades only go inwards
+    if (['start', 'fadeIn'].includes(trackDrag.kind)) trackDrag.dx = Math.max(0, trackDrag.dx);
+    if (['end', 'fadeOut'].includes(trackDrag.kind)) trackDrag.dx = Math.min(0, trackDrag.dx);
+    describeDrag();
+    drawTrackList();
+});
+
+trackCanvas.addEventListener('pointerup', () => {
+    if (!trackDrag) return;
+    const samples = describeDrag();
+    const { kind } = trackDrag;
+    const { length } = trackHandles(selectedTrack);
+    trackDrag = null;
+
+    if (samples === 0) return drawTrackList();
+    if (kind === 'nudge') looper.nudgeTrack(selectedTrack, samples);
+    if (kind === 'start') looper.trimTrack(selectedTrack, { start: samples });
+    if (kind === 'end') looper.trimTrack(selectedTrack, { end: length + samples });
+    if (kind === 'fadeIn') looper.trimTrack(selectedTrack, { fadeIn: samples }, 'Fade in');
+    if (kind === 'fadeOut') looper.trimTrack(selectedTrack, { end: length, fadeOut: -samples }, 'Fade out');
+});
+
+trackCanvas.addEventListener('pointercancel', () => {
+    trackDrag = null;
+    drawTrackList();
+});
+
+// Track edit buttons: act on the selected track (Bounce: on it and the marked layers)
+const trackEdits = {
+    reverse: document.getElementById('btn-track-reverse'),
+    duplicate: document.getElementById('btn-track-duplicate'),
+    normalize: document.getElementById('btn-track-normalize'),
+    quieter: document.getElementById('btn-track-quieter'),
+    louder: document.getElementById('btn-track-louder'),
+    half: document.getElementById('btn-track-half'),
+    double: document.getElementById('btn-track-double'),
+    bounce: document.getElementById('btn-track-bounce'),
+    delete: document.getElementById('btn-track-delete')
+};
+
+const bounceTargets = () => [...new Set([selectedTrack, ...bounceMarks])].filter(index => index > 0).sort((a, b) => a - b);
+
+const renderTrackEdits = () => {
+    const none = selectedTrack === null;
+    Object.values(trackEdits).forEach(btn => { btn.disabled = none; });
+    // The master sets the loop length and holds every scene's layers together
+    trackEdits.half.disabled = trackEdits.double.disabled = trackEdits.delete.disabled = none || selectedTrack === 0;
+    trackEdits.bounce.disabled = bounceTargets().length < 2;
+};
+
+const editSelected = (edit) => () => {
+    if (selectedTrack !== null) edit(selectedTrack);
+};
+
+trackEdits.reverse.addEventListener('click', editSelected(index => looper.reverseTrack(index)));
+trackEdits.normalize.addEventListener('click', editSelected(index => looper.normalizeTrack(index)));
+trackEdits.quieter.addEventListener('click', editSelected(index => looper.gainTrack(index, -3)));
+trackEdits.louder.addEventListener('click', editSelected(index => looper.gainTrack(index, 3)));
+trackEdits.half.addEventListener('click', editSelected(index => looper.changeTrackSpeed(index, 0.5)));
+trackEdits.double.addEventListener('click', editSelected(index => looper.changeTrackSpeed(index, 2)));
+trackEdits.duplicate.addEventListener('click', editSelected(index => {
+    const count = looper.tracks().length;
+    looper.duplicateTrack(index);
+    if (looper.tracks().length === count) return;
+    bounceMarks.clear();
+    selectedTrack = index + 1; // The copy
+    renderTrackList();
+}));
+trackEdits.delete.addEventListener('click', editSelected(index => {
+    bounceMarks.clear();
+    selectedTrack = null;
+    looper.deleteLayer(index);
+}));
+trackEdits.bounce.addEventListener('click', async () => {
+    const targets = bounceTargets();
+    trackReadout.innerText = 'Bouncing…';
+    let bounced = null;
+    try {
+        bounced = await looper.bounceTracks(targets);
+    } catch (err) {
+        console.error("Bounce failed:", err);
+        trackReadout.innerText = 'Bounce failed: nothing was changed.';
+        return;
+    }
+    if (!bounced) {
+        if (targets.length < 2) trackReadout.innerText = 'Select a layer and shift-click another to bounce them.';
+        else if (looper.isRecording) trackReadout.innerText = 'Not bounced: finish the take first.';
+        else trackReadout.innerText = 'Not bounced: the layers changed while rendering.';
+        return;
+    }
+    bounceMarks.clear();
+    selectedTrack = targets[0];
+    trackReadout.innerText = `Layers ${targets.join(', ')} bounced to layer ${targets[0]}`;
+    renderTrackList();
+});
+
+window.addEventListener('resize', renderTrackList);
+
+// Mixer Panel
+const mixerTracks = document.getElementById('mixer-tracks');
+const masterVolume = document.getElementById('master-volume');
+
+const renderMixer = () => {
+    const tracks = looper.tracks();
+    mixerTracks.innerHTML = '';
+
+    if (tracks.length === 0) {
+        mixerTracks.innerHTML = '<p class="hint">Record a loop to see its channel strip.</p>';
+        return;
+    }
+
+    tracks.forEach((buffer, index) => {
+        const strip = looper.stripFor(buffer);
+        const row = document.createElement('div');
+        row.className = 'mixer-row';
+        row.innerHTML = `
+            <span class="track-name">${index === 0 ? 'Loop' : `Layer ${index}`}</span>
+            <input type="range" class="volume" min="0" max="1.5" step="0.01" value="${strip.volume}" title="Volume">
+            <input type="range" class="pan" min="-1" max="1" step="0.01" value="${strip.pan}" title="Pan">
+            <button class="toggle-btn mute ${strip.muted ? 'active' : ''}" title="Mute">M</button>
+            <button class="toggle-btn solo ${strip.solo ? 'active' : ''}" title="Solo">S</button>
+            <button class="toggle-btn fx ${strip.fx.effects.length ? 'active' : ''}" title="Effects">FX</button>
+            <button class="toggle-btn delete ${index === 0 ? 'placeholder' : ''}" title="Delete Layer">×</button>
+        `;
+        row.querySelector('.volume').addEventListener('input', (e) => looper.setTrackVolume(index, parseFloat(e.target.value)));
+        row.querySelector('.pan').addEventListener('input', (e) => looper.setTrackPan(index, parseFloat(e.target.value)));
+        row.querySelector('.mute').addEventListener('click', () => looper.toggleMute(index));
+        row.querySelector('.solo').addEventListener('click', () => looper.toggleSolo(index));
+        row.querySelector('.delete').addEventListener('click', () => looper.deleteLayer(index));
+        row.querySelector('.fx').addEventListener('click', () => {
+            effectsTrack = index;
+            renderEffects();
+            document.getElementById('effects').scrollIntoView({ behavior: 'smooth' });
+        });
+        mixerTracks.appendChild(row);
+    });
+};
+
+// Effects Panel
+const effectsTarget = document.getElementById('effects-target');
+const effectList = document.getElementById('effect-list');
+const effectType = document.getElementById('effect-type');
+let effectsTrack = null; // Track index being edited, null for the output bus
+
+const formatParam = (value) => typeof value === 'number' ? String(+value.toFixed(3)) : value;
+
+const renderEffects = () => {
+    const tracks = looper.tracks();
+    if (effectsTrack !== null && effectsTrack >= tracks.length) effectsTrack = null;
+
+    effectsTarget.innerHTML = '<option value="bus">Output bus</option>' + tracks.map((buf, index) =>
+        `<option value="${index}">${index === 0 ? 'Loop' : `Layer ${index}`}</option>`).join('');
+    effectsTarget.value = effectsTrack === null ? 'bus' : String(effectsTrack);
+
+    const { chain } = looper.effectChain(effectsTrack);
+    effectList.innerHTML = chain.effects.length ? '' : '<p class="hint">No effects: this track plays dry.</p>';
+
+    chain.effects.forEach((effect, slot) => {
+        const type = EFFECTS[effect.type];
+        const unit = document.createElement('div');
+        unit.className = `effect-unit ${effect.bypass ? 'bypassed' : ''}`;
+        unit.innerHTML = `
+            <div class="effect-header">
+                <span class="track-name">${type.label}</span>
+                <button class="toggle-btn bypass ${effect.bypass ? '' : 'active'}" title="On / Bypass">On</button>
+                <button class="toggle-btn delete" title="Remove Effect">×</button>
+            </div>
+        `;
+        unit.querySelector('.bypass').addEventListener('click', () => looper.toggleEffectBypass(effectsTrack, slot));
+        unit.querySelector('.delete').addEventListener('click', () => looper.removeEffect(effectsTrack, slot));
+
+        Object.entries(type.params).forEach(([name, spec]) => {
+            const row = document.createElement('label');
+            row.className = 'mixer-row effect-param';
+            const value = effect.params[name];
+            const control = spec.choices
+                ? `<select>${spec.choices.map(c => `<option value="${c}" ${c === value ? 'selected' : ''}>${c}</option>`).join('')}</select>`
+                : `<input type="range" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${value}">`;
+            row.innerHTML = `<span class="track-name">${name}</span>${control}<span class="param-value">${formatParam(value)}</span>`;
+
+            const input = row.querySelector('input, select');
+            input.addEventListener(spec.choices ? 'change' : 'input', (e) => {
+                const next = spec.choices ? e.target.value : parseFloat(e.target.value);
+                looper.setEffectParam(effectsTrack, slot, name, next);
+                row.querySelector('.param-value').innerText = formatParam(next);
+            });
+            unit.appendChild(row);
+        });
+        effectList.appendChild(unit);
+    });
+};
+
+effectsTarget.addEventListener('change', (e) => {
+    effectsTrack = e.target.value === 'bus' ? null : parseInt(e.target.value, 10);
+    renderEffects();
+});
+document.getElementById('btn-add-effect').addEventListener('click', () => looper.addEffect(effectsTrack, effectType.value));
+
+// Tempo Panel
+const tempoEnabled = document.getElementById('tempo-enabled');
+const tempoClick = document.getElementById('tempo-click');
+const tempoBpm = document.getElementById('tempo-bpm');
+const tempoSignature = document.getElementById('tempo-signature');
+const tempoCountIn = document.getElementById('tempo-count-in');
+
+const readTempoControls = () => {
+    looper.setTempo({
+        enabled: tempoEnabled.checked,
+        click: tempoClick.checked,
+        bpm: parseFloat(tempoBpm.value) || looper.tempo.bpm,
+        beatsPerBar: parseInt(tempoSignature.value, 10),
+        countInBars: parseInt(tempoCountIn.value, 10)
+    });
+    tempoBpm.value = looper.tempo.bpm;
+};
+
+// BPM and time signature define the master length, so they lock once it exists
+const renderTempo = () => {
+    const locked = looper.tracks().length > 0;
+    tempoBpm.disabled = locked;
+    tempoSignature.disabled = locked;
+    tempoBpm.value = +looper.tempo.bpm.toFixed(2); // Follows speed changes
+};
+
+[tempoEnabled, tempoClick, tempoBpm, tempoSignature, tempoCountIn].forEach(el => {
+    el.addEventListener('change', readTempoControls);
+});
+
+// Speed & Pitch Panel
+const timeSpeed = document.getElementById('time-speed');
+const timeSemitones = document.getElementById('time-pitch-semitones');
+const timePitchReadout = document.getElementById('time-pitch-readout');
+
+const renderTimePitch = () => {
+    const { speed, semitones } = looper.timePitch;
+    timeSpeed.value = speed;
+    timeSemitones.value = semitones;
+    timeSpeed.disabled = timeSemitones.disabled = !looper.masterBuffer;
+    const bpm = looper.tempo.enabled ? ` · ${looper.tempo.bpm.toFixed(1)} BPM` : '';
+    const busy = looper.isStretching ? ' · processing...' : '';
+    timePitchReadout.innerText = `${Math.round(speed * 100)}% · ${semitones > 0 ? '+' : ''}${semitones} st${bpm}${busy}`;
+};
+
+const readTimePitch = () => looper.setTimePitch({
+    speed: parseFloat(timeSpeed.value),
+    semitones: parseInt(timeSemitones.value, 10)
+});
+
+timeSpeed.addEventListener('change', readTimePitch);
+timeSemitones.addEventListener('change', readTimePitch);
+document.getElementById('btn-time-pitch-reset').addEventListener('click', () => looper.setTimePitch({ speed: 1, semitones: 0 }));
+looper.on('timepitch', renderTimePitch);
+renderTimePitch();
+
+// Overdub Panel
+const overdubMode = document.getElementById('overdub-mode');
+const overdubFeedback = document.getElementById('overdub-feedback');
+
+const renderOverdub = () => {
+    overdubMode.value = looper.overdubMode;
+    overdubFeedback.value = looper.feedback;
+    overdubFeedback.disabled = looper.overdubMode !== 'feedback';
+};
+
+overdubMode.addEventListener('change', (e) => {
+    looper.setOverdubMode(e.target.value);
+    renderOverdub();
+});
+overdubFeedback.addEventListener('input', (e) => looper.setFeedback(parseFloat(e.target.value)));
+renderOverdub();
+
+// Loop Edges Panel
+const edgeToggles = {
+    trim: document.getElementById('edges-trim'),
+    zeroCrossings: document.getElementById('edges-zero'),
+    crossfades: document.getElementById('edges-fade')
+};
+
+Object.entries(edgeToggles).forEach(([step, toggle]) => {
+    toggle.checked = looper.loopEdges[step];
+    toggle.addEventListener('change', (e) => looper.setLoopEdges({ [step]: e.target.checked }));
+});
+
+// Record Start Panel
+const recordStartMode = document.getElementById('record-start-mode');
+const recordQuantize = document.getElementById('record-quantize');
+const recordPreRoll = document.getElementById('record-preroll');
+const recordThreshold = document.getElementById('record-threshold');
+
+const renderRecordStart = () => {
+    recordStartMode.value = looper.recordStartMode;
+    recordQuantize.value = looper.quantizeTo;
+    recordQuantize.disabled = looper.recordStartMode !== 'quantized';
+    recordPreRoll.value = looper.recordPreRollS;
+    recordPreRoll.disabled = looper.recordStartMode !== 'threshold';
+    recordThreshold.value = Math.round(20 * Math.log10(looper.recordThreshold));
+    recordThreshold.disabled = looper.recordStartMode !== 'threshold';
+};
+
+const readRecordStart = () => {
+    looper.setRecordStart({
+        mode: recordStartMode.value,
+        quantizeTo: recordQuantize.value,
+        preRoll: parseFloat(recordPreRoll.value),
+        threshold: Math.pow(10, parseFloat(recordThreshold.value) / 20)
+    });
+    renderRecordStart();
+};
+
+[recordStartMode, recordQuantize, recordPreRoll, recordThreshold].forEach(el => {
+    el.addEventListener('change', readRecordStart);
+});
+renderRecordStart();
+
+// Undo / Redo Buttons
+const undoBtn = document.getElementById('btn-undo');
+const redoBtn = document.getElementById('btn-redo');
+
+const renderHistory = () => {
+    const { undoStack, redoStack } = looper.history;
+    undoBtn.disabled = !looper.history.canUndo;
+    redoBtn.disabled = !looper.history.canRedo;
+    undoBtn.title = looper.history.canUndo ? `Undo ${undoStack[undoStack.length - 1].label} (Backspace)` : "Undo (Backspace)";
+    redoBtn.title = looper.history.canRedo ? `Redo ${redoStack[redoStack.length - 1].label} (Shift+Backspace)` : "Redo (Shift+Backspace)";
+};
+looper.on('history', renderHistory);
+renderHistory();
+
+// Latency Panel
+const latencyReadout = document.getElementById('latency-readout');
+const latencyNudge = document.getElementById('latency-nudge');
+
+looper.on('latency', () => {
+    const ms = (looper.latencyCompensationS * 1000).toFixed(1);
+    const source = looper.measuredLatencyS === null ? 'default' : 'measured';
+    const nudge = looper.latencyNudgeS ? `, nudge ${(looper.latencyNudgeS * 1000).toFixed(1)} ms` : '';
+    latencyReadout.innerText = `${ms} ms (${source}${nudge})`;
+    latencyNudge.value = looper.latencyNudgeS * 1000;
+});
+
+document.getElementById('btn-calibrate').addEventListener('click', () => looper.calibrateLatency());
+latencyNudge.addEventListener('change', (e) => looper.setLatencyNudge(parseFloat(e.target.value) / 1000));
+
+// Input Panel
+const inputDevice = document.getElementById('input-device');
+const inputEc = document.getElementById('input-ec');
+const inputNs = document.getElementById('input-ns');
+const inputAgc = document.getElementById('input-agc');
+const inputChannels = document.getElementById('input-channels');
+const inputMonitor = document.getElementById('input-monitor');
+const inputGain = document.getElementById('input-gain');
+
+const renderInputDevices = async (devices) => {
+    devices = devices || await looper.listInputDevices();
+    const preferred = looper.inputSettings.deviceId;
+    inputDevice.innerHTML = '';
+    const options = [{ deviceId: '', label: 'Default input' }, ...devices.filter(d => d.deviceId && d.deviceId !== 'default')];
+    if (preferred && !options.some(d => d.deviceId === preferred)) {
+        options.push({ deviceId: preferred, label: 'Saved input (disconnected)' });
+    }
+    options.forEach(({ deviceId, label }) => {
+        const opt = document.createElement('option');
+        opt.value = deviceId;
+        opt.innerText = label;
+        inputDevice.appendChild(opt);
+    });
+    inputDevice.value = preferred;
+};
+
+const renderInput = () => {
+    const settings = looper.inputSettings;
+    inputEc.checked = settings.echoCancellation;
+    inputNs.checked = settings.noiseSuppression;
+    inputAgc.checked = settings.autoGainControl;
+    inputChannels.value = settings.channels;
+    inputMonitor.checked = settings.monitor;
+    inputGain.value = settings.gain;
+};
+
+// The device list only changes when devices come and go, or labels appear after permission
+let shownInputDevice;
+looper.on('input', () => {
+    renderInput();
+    if (looper.inputDeviceId === shownInputDevice) return;
+    shownInputDevice = looper.inputDeviceId;
+    renderInputDevices();
+});
+looper.on('devices', renderInputDevices);
+renderInput();
+renderInputDevices();
+
+inputDevice.addEventListener('change', (e) => looper.setInputSettings({ deviceId: e.target.value }));
+inputEc.addEventListener('change', (e) => looper.setInputSettings({ echoCancellation: e.target.checked }));
+inputNs.addEventListener('change', (e) => looper.setInputSettings({ noiseSuppression: e.target.checked }));
+inputAgc.addEventListener('change', (e) => looper.setInputSettings({ autoGainControl: e.target.checked }));
+inputChannels.addEventListener('change', (e) => looper.setInputSettings({ channels: parseInt(e.target.value, 10) }));
+inputMonitor.addEventListener('change', (e) => looper.setInputSettings({ monitor: e.target.checked }));
+inputGain.addEventListener('input', (e) => looper.setInputSettings({ gain: parseFloat(e.target.value) }));
+
+// Master Panel: limiter, export normalization and the loudness readout
+const limiterEnabled = document.getElementById('limiter-enabled');
+const limiterCeiling = document.getElementById('limiter-ceiling');
+const limiterReduction = document.getElementById('limiter-reduction');
+const normalizeMode = document.getElementById('normalize-mode');
+const normalizeTarget = document.getElementById('normalize-target');
+const loudnessReadout = document.getElementById('loudness-readout');
+const NORMALIZE_TARGETS = { off: -1, peak: -1, lufs: -14 };
+let loudnessStale = false;
+
+const renderLimiter = () => {
+    limiterEnabled.checked = looper.limiter.enabled;
+    limiterCeiling.value = looper.limiter.ceiling;
+    limiterCeiling.disabled = !looper.limiter.enabled;
+};
+
+const readNormalize = () => ({
+    normalize: normalizeMode.value,
+    target: parseFloat(normalizeTarget.value) || NORMALIZE_TARGETS[normalizeMode.value]
+});
+
+const formatDb = (db) => isFinite(db) ? db.toFixed(1) : '-inf';
+
+const renderLoudness = () => {
+    const report = looper.loudness;
+    if (!report) {
+        loudnessReadout.innerText = 'Not measured';
+        return;
+    }
+    let warning = '';
+    if (report.overs > 0) warning = ` · clips (${report.overs} samples)`;
+    else if (report.truePeak > 0) warning = ' · inter-sample peaks over 0 dB';
+    const caught = report.unlimitedOvers > 0 && report.overs === 0 ? ` · limiter caught ${report.unlimitedOvers} overs` : '';
+    loudnessReadout.innerHTML = `${formatDb(report.integrated)} LUFS · ${formatDb(report.truePeak)} dBTP${caught}` +
+        (warning ? `<span class="loudness-warning">${warning}</span>` : '') +
+        (loudnessStale ? ' · mix changed' : '');
+};
+
+limiterEnabled.addEventListener('change', (e) => looper.setLimiter({ enabled: e.target.checked }));
+limiterCeiling.addEventListener('change', (e) => looper.setLimiter({ ceiling: parseFloat(e.target.value) || 0 }));
+normalizeMode.addEventListener('change', () => {
+    normalizeTarget.value = NORMALIZE_TARGETS[normalizeMode.value];
+    normalizeTarget.disabled = normalizeMode.value === 'off';
+});
+document.getElementById('btn-measure').addEventListener('click', async () => {
+    loudnessReadout.innerText = 'Measuring...';
+    const report = await looper.measureMix(readNormalize());
+    if (!report) renderLoudness();
+});
+looper.on('loudness', () => {
+    loudnessStale = false;
+    renderLoudness();
+});
+looper.on('session', () => {
+    renderLimiter();
+    if (looper.loudness && !loudnessStale) {
+        loudnessStale = true;
+        renderLoudness();
+    }
+});
+renderLimiter();
+
+// Level Meters: -60..0 dBFS, RMS bar with a peak line
+const meters = [
+    { led: document.getElementById('input-clip'), meter: () => looper.inputMeter },
+    { led: document.getElementById('output-clip'), meter: () => looper.outputMeter }
+].map(m => {
+    const row = m.led.parentElement;
+    return { ...m, rms: row.querySelector('.meter-rms'), peak: row.querySelector('.meter-peak') };
+});
+const meterPercent = (level) => {
+    const db = 20 * Math.log10(Math.max(level, 1e-6));
+    return Math.min(100, Math.max(0, (db + 60) / 60 * 100));
+};
+
+meters.forEach(({ led, meter }) => led.addEventListener('click', () => {
+    if (meter()) meter().resetClip();
+}));
+
+function drawMeters() {
+    requestAnimationFrame(drawMeters);
+    meters.forEach(({ led, meter, rms, peak }) => {
+        if (!meter()) return;
+        const level = meter().read();
+        rms.style.width = `${meterPercent(level.rms)}%`;
+        peak.style.left = `${meterPercent(level.peak)}%`;
+        led.classList.toggle('active', level.clipped);
+    });
+    limiterReduction.innerText = `Limiting ${formatDb(looper.limiterReduction)} dB`;
+}
+
+drawMeters();
+
+// Scenes Panel
+const sceneButtons = document.getElementById('scene-buttons');
+
+const renderScenes = () => {
+    sceneButtons.innerHTML = '';
+    looper.scenes.forEach((scene, index) => {
+        const btn = document.createElement('button');
+        btn.className = 'scene-btn';
+        if (index === looper.activeScene) btn.classList.add('active');
+        if (index === looper.pendingScene) btn.classList.add('queued');
+        btn.title = `Scene ${scene.name} (${index + 1})`;
+        btn.innerHTML = `${scene.name}<small>${scene.layers.length} layer${scene.layers.length === 1 ? '' : 's'}</small>`;
+        btn.addEventListener('click', () => looper.queueScene(index));
+        sceneButtons.appendChild(btn);
+    });
+};
+
+looper.on('scene', renderScenes);
+renderScenes();
+
+// Sessions Panel
+const sessionStore = new SessionStore();
+const sessionList = document.getElementById('session-list');
+const projectFile = document.getElementById('project-file');
+let autosaveTimer = null;
+
+const renderSessions = async () => {
+    try {
+        const sessions = await sessionStore.list();
+        sessionList.innerHTML = sessions.length === 0 ? '<option value="">No saved sessions</option>' : '';
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            const layerCount = session.scenes.reduce((sum, scene) => sum + scene.layers.length, 0);
+            option.textContent = `${session.name} (${layerCount + 1} tracks)`;
+            option.selected = session.id === looper.sessionId;
+            sessionList.appendChild(option);
+        });
+    } catch (err) {
+        console.error("Session list failed:", err);
+    }
+};
+
+// Debounced so slider drags don't hammer IndexedDB
+const autosave = async () => {
+    clearTimeout(autosaveTimer);
+    const project = looper.serialize();
+    if (!project || !project.manifest.id) return;
+    try {
+        await sessionStore.save(project);
+        renderSessions();
+    } catch (err) {
+        console.error("Autosave failed:", err);
+    }
+};
+
+const scheduleAutosave = () => {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosave, 1000);
+};
+
+document.getElementById('btn-session-open').addEventListener('click', async () => {
+    if (!sessionList.value) return;
+    try {
+        await looper.restore(await sessionStore.load(sessionList.value));
+    } catch (err) {
+        console.error("Session load failed:", err);
+        alert("Could not open this session.");
+    }
+});
+
+document.getElementById('btn-session-delete').addEventListener('click', async () => {
+    const id = sessionList.value;
+    if (!id || !confirm("Delete this saved session?")) return;
+    if (id === looper.sessionId) looper.sessionId = null; // Keep playing, but stop saving over it
+    await sessionStore.remove(id);
+    renderSessions();
+});
+
+document.getElementById('btn-project-export').addEventListener('click', () => {
+    const file = looper.exportProject();
+    if (file) downloadBlob(file.blob, file.filename);
+});
+document.getElementById('btn-project-import').addEventListener('click', () => projectFile.click());
+projectFile.addEventListener('change', async () => {
+    if (projectFile.files[0]) await looper.importProject(projectFile.files[0]);
+    projectFile.value = '';
+});
+
+// Jam Panel
+const jam = new JamSession(looper);
+const jamUrl = document.getElementById('jam-url');
+const jamRoom = document.getElementById('jam-room');
+const jamStatus = document.getElementById('jam-status');
+const jamHost = document.getElementById('btn-jam-host');
+const jamJoin = document.getElementById('btn-jam-join');
+const jamLeave = document.getElementById('btn-jam-leave');
+
+try {
+    const saved = JSON.parse(localStorage.getItem('web-sampler.jam')) || {};
+    if (saved.url) jamUrl.value = saved.url;
+    if (saved.room) jamRoom.value = saved.room;
+} catch (e) { /* Keep the defaults */ }
+
+const renderJam = () => {
+    const connected = jam.connected;
+    const others = jam.peers.size;
+    jamStatus.innerText = connected
+        ? `${jam.isHost ? 'Hosting' : 'Joined'} "${jam.room}" · ${others} other${others === 1 ? '' : 's'}`
+        : 'Not connected';
+    jamHost.disabled = jamJoin.disabled = connected;
+    jamLeave.disabled = !connected;
+    jamUrl.disabled = jamRoom.disabled = connected;
+};
+
+const connectJam = async (host) => {
+    const room = jamRoom.value.trim() || (host ? `jam-${Math.random().toString(36).slice(2, 7)}` : '');
+    if (!room) {
+        jamRoom.focus();
+        return;
+    }
+    jamRoom.value = room;
+    localStorage.setItem('web-sampler.jam', JSON.stringify({ url: jamUrl.value, room }));
+    jamStatus.innerText = 'Connecting...';
+    jamHost.disabled = jamJoin.disabled = true;
+    await jam.connect(jamUrl.value, room, { host });
+    renderJam();
+};
+
+jamHost.addEventListener('click', () => connectJam(true));
+jamJoin.addEventListener('click', () => connectJam(false));
+jamLeave.addEventListener('click', () => jam.disconnect());
+jam.on('status', renderJam);
+renderJam();
+
+// Performance Panel: record a whole set, export it rendered or as heard
+const performanceStatus = document.getElementById('performance-status');
+const performanceRecord = document.getElementById('btn-performance-record');
+const performanceExport = document.getElementById('btn-performance-export');
+let performanceClock = null;
+
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const renderPerformance = () => {
+    const recorder = looper.performanceRecorder;
+    const set = looper.performance;
+    if (recorder) {
+        performanceStatus.innerText = `Recording ${formatDuration(recorder.duration)} · ${recorder.timeline.length} events`;
+    } else if (set) {
+        performanceStatus.innerText = `Set: ${formatDuration(set.duration)} · ${set.timeline.length} events`;
+    } else {
+        performanceStatus.innerText = 'No set recorded';
+    }
+    performanceRecord.innerText = recorder ? 'Stop Set' : 'Record Set';
+    performanceRecord.classList.toggle('danger', !!recorder);
+    performanceExport.disabled = !!recorder || !set;
+};
+
+performanceRecord.addEventListener('click', () => {
+    if (looper.isRecordingPerformance) looper.stopPerformance();
+    else looper.startPerformance({ includeInput: document.getElementById('performance-input').checked });
+});
+performanceExport.addEventListener('click', async () => {
+    performanceStatus.innerText = 'Rendering...';
+    performanceExport.disabled = true;
+    const file = await looper.exportPerformance({
+        source: document.getElementById('performance-source').value,
+        format: document.getElementById('performance-format').value,
+        bitDepth: parseInt(document.getElementById('export-bit-depth').value, 10),
+        ...readNormalize()
+    });
+    if (file) downloadBlob(file.blob, file.filename);
+    renderPerformance();
+});
+looper.on('performance', (state) => {
+    clearInterval(performanceClock);
+    if (state === 'RECORDING') performanceClock = setInterval(renderPerformance, 250);
+    renderPerformance();
+});
+renderPerformance();
+
+// Import Panel + Drag & Drop
+const audioFile = document.getElementById('audio-file');
+const importOffset = document.getElementById('import-offset');
+
+const importFiles = async (files) => {
+    // One at a time: the first file may become the master the others are fitted to
+    for (const file of files) {
+        await looper.importFile(file, { offsetSeconds: parseFloat(importOffset.value) || 0 });
+    }
+};
+
+document.getElementById('btn-import-audio').addEventListener('click', () => audioFile.click());
+audioFile.addEventListener('change', async () => {
+    await importFiles([...audioFile.files]);
+    audioFile.value = '';
+});
+
+document.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    document.body.classList.add('drag-over');
+});
+document.addEventListener('dragleave', (e) => {
+    if (e.relatedTarget === null) document.body.classList.remove('drag-over');
+});
+document.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+    const files = [...e.dataTransfer.files].filter(file => file.type.startsWith('audio/') || /\.(wav|mp3|ogg)$/i.test(file.name));
+    importFiles(files);
+});
+
+looper.on('session', scheduleAutosave);
+renderSessions();
+
+looper.on('tracks', () => {
+    renderTimePitch();
+    renderMixer();
+    renderEffects();
+    renderTrackList();
+    renderTempo();
+    renderScenes();
+    scheduleAutosave();
+});
+renderEffects();
+renderTrackList();
+masterVolume.addEventListener('input', (e) => looper.setOutputVolume(parseFloat(e.target.value)));
+
 // Visualizer Animation Loop
 function drawVisualizer() {
     requestAnimationFrame(drawVisualizer);
@@ -551,34 +1343,206 @@ const handleRecordUp = () => {
     looper.stopRecording();
 };
 
+// Every key, MIDI and circle press ends up here
+const controls = new ControlBindings();
+
+controls.onAction = (action, pressed) => {
+    if (action === 'record') {
+        if (controls.recordMode === 'tap') {
+            // Latching: each press toggles (a press during the count-in cancels it)
+            if (pressed) looper.isRecording ? handleRecordUp() : handleRecordDown();
+        } else {
+            pressed ? handleRecordDown() : handleRecordUp();
+        }
+        return;
+    }
+    if (!pressed) return;
+
+    if (action === 'play') looper.togglePlay();
+    if (action === 'undo') looper.undo();
+    if (action === 'redo') looper.redo();
+    if (action === 'clear') looper.clear();
+    const [kind, index] = action.split('-');
+    if (kind === 'scene') looper.queueScene(parseInt(index, 10));
+    if (kind === 'mute') looper.toggleMute(parseInt(index, 10));
+};
+
 // Mouse/Touch
-circle.addEventListener('mousedown', handleRecordDown);
-circle.addEventListener('mouseup', handleRecordUp);
-circle.addEventListener('touchstart', (e) => { e.preventDefault(); handleRecordDown(); });
-circle.addEventListener('touchend', (e) => { e.preventDefault(); handleRecordUp(); });
+circle.addEventListener('mousedown', () => controls.onAction('record', true));
+circle.addEventListener('mouseup', () => controls.onAction('record', false));
+circle.addEventListener('touchstart', (e) => { e.preventDefault(); controls.onAction('record', true); });
+circle.addEventListener('touchend', (e) => { e.preventDefault(); controls.onAction('record', false); });
 
 // Keyboard
+// Shortcuts stay out of the way of text fields, and don't "click" whatever mixer button has focus
+const isEditingField = (el) => el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' ||
+    (el.tagName === 'INPUT' && el.type !== 'range');
+
 document.addEventListener('keydown', (e) => {
-    if (e.repeat) return;
-    if (e.code === 'Space') {
-        handleRecordDown();
+    if (isEditingField(e.target)) return;
+    if (e.code === 'Escape' && controls.learning) {
+        controls.learn(null);
+        return;
     }
-    if (e.code === 'Enter') {
-        looper.togglePlay();
+    if (controls.press(e.code, ControlBindings.keyInput(e))) {
+        e.preventDefault();
+        return;
     }
-    if (e.code === 'Backspace') {
-        looper.undo();
+    // Left/Right: nudge the selected track by 1 ms (Shift: 10 ms)
+    if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && selectedTrack !== null && looper.ctx &&
+        e.target.tagName !== 'INPUT') {
+        e.preventDefault();
+        const ms = e.shiftKey ? 10 : 1;
+        looper.nudgeTrack(selectedTrack, (e.code === 'ArrowLeft' ? -ms : ms) / 1000 * looper.ctx.sampleRate);
     }
 });
 
 document.addEventListener('keyup', (e) => {
-    if (e.code === 'Space') {
-        handleRecordUp();
+    if (controls.release(e.code)) e.preventDefault();
+});
+
+// Controls Panel
+const controlList = document.getElementById('control-list');
+const recordMode = document.getElementById('record-mode');
+const midiStatus = document.getElementById('midi-status');
+
+const renderControls = () => {
+    recordMode.value = controls.recordMode;
+    const devices = controls.midi ? [...controls.midi.inputs.values()].map(input => input.name) : [];
+    midiStatus.innerText = !controls.midi ? 'MIDI off'
+        : devices.length ? devices.join(', ') : 'No MIDI devices';
+
+    controlList.innerHTML = '';
+    CONTROL_ACTIONS.forEach(({ id, label }) => {
+        const row = document.createElement('div');
+        row.className = 'control-row';
+        const learning = controls.learning === id;
+        const inputs = controls.inputsFor(id).map(ControlBindings.describe).join(', ');
+        row.innerHTML = `
+            <span class="track-name">${label}</span>
+            <span class="control-inputs">${learning ? 'Press a key or MIDI control… (Esc cancels)' : inputs || '—'}</span>
+            <button class="small-btn learn ${learning ? 'active' : ''}">Learn</button>
+            <button class="toggle-btn delete" title="Remove bindings">×</button>
+        `;
+        row.querySelector('.learn').addEventListener('click', (e) => {
+            e.currentTarget.blur(); // Space/Enter must reach the learner, not re-click this button
+            controls.learn(learning ? null : id);
+        });
+        row.querySelector('.delete').addEventListener('click', () => controls.unbind(id));
+        controlList.appendChild(row);
+    });
+};
+
+controls.onChange = renderControls;
+renderControls();
+
+recordMode.addEventListener('change', (e) => controls.setRecordMode(e.target.value));
+document.getElementById('btn-controls-reset').addEventListener('click', () => controls.reset());
+document.getElementById('btn-midi').addEventListener('click', async () => {
+    try {
+        await controls.enableMidi();
+    } catch (err) {
+        console.error("MIDI unavailable:", err);
+        alert("Could not enable MIDI: " + err.message);
     }
 });
 
 // Buttons
 document.getElementById('btn-play-stop').addEventListener('click', () => looper.togglePlay());
 document.getElementById('btn-undo').addEventListener('click', () => looper.undo());
+document.getElementById('btn-redo').addEventListener('click', () => looper.redo());
 document.getElementById('btn-clear').addEventListener('click', () => looper.clear());
-document.getElementById('btn-export').addEventListener('click', () => looper.exportWav());
+document.getElementById('btn-export').addEventListener('click', async () => {
+    const file = await looper.exportWav({
+        mode: document.getElementById('export-mode').value,
+        bitDepth: parseInt(document.getElementById('export-bit-depth').value, 10),
+        repeats: Math.max(1, parseInt(document.getElementById('export-repeats').value, 10) || 1),
+        ...readNormalize()
+    });
+    if (file) downloadBlob(file.blob, file.filename);
+});
+
+// === Offline App & Background Audio ===
+
+// The service worker (sw.js) caches the app shell. A new deploy installs alongside and
+// waits until the player chooses to reload into it.
+const updateBanner = document.getElementById('update-banner');
+let waitingWorker = null;
+let updating = false;
+
+const offerUpdate = (worker) => {
+    waitingWorker = worker;
+    updateBanner.hidden = false;
+};
+
+document.getElementById('btn-update').addEventListener('click', async () => {
+    if (!waitingWorker) return;
+    updating = true;
+    await autosave(); // Don't lose the last second of changes
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+});
+
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updating) location.reload(); // Not on the first install: that one takes over silently
+    });
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+            });
+        });
+        // Apps left open for a whole gig still hear about new versions
+        setInterval(() => registration.update().catch(() => { }), 60 * 60 * 1000);
+    }).catch(err => console.warn("Offline mode unavailable:", err));
+}
+
+// Mobile browsers suspend the AudioContext when the screen locks or another app takes the
+// audio. Resume as soon as the page is back; if the browser wants a tap first, ask for one.
+const audioBanner = document.getElementById('audio-banner');
+
+const resumeAudio = async () => {
+    if (!looper.ctx || looper.ctx.state === 'running') return;
+    audioBanner.hidden = false;
+    if (await looper.resumeContext()) audioBanner.hidden = true;
+};
+
+looper.on('context', (state) => {
+    if (state === 'running') {
+        audioBanner.hidden = true;
+    } else if (document.visibilityState === 'visible') {
+        resumeAudio();
+    }
+});
+document.getElementById('btn-resume-audio').addEventListener('click', resumeAudio);
+
+// Hold a screen wake lock while a loop runs, so the screen doesn't lock mid-song
+let wakeLock = null;
+
+const updateWakeLock = async () => {
+    if (!navigator.wakeLock) return;
+    const wanted = (looper.isPlaying || looper.isRecording) && document.visibilityState === 'visible';
+    if (wanted && !wakeLock) {
+        wakeLock = 'pending';
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            lock.addEventListener('release', () => { if (wakeLock === lock) wakeLock = null; });
+            wakeLock = lock;
+            updateWakeLock(); // Stopped while the request was pending?
+        } catch (err) {
+            wakeLock = null; // Refused (e.g. battery saver): the screen may still lock
+        }
+    } else if (!wanted && wakeLock && wakeLock !== 'pending') {
+        const lock = wakeLock;
+        wakeLock = null;
+        lock.release();
+    }
+};
+
+looper.on('state', updateWakeLock);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') resumeAudio();
+    updateWakeLock(); // Locks are dropped while hidden
+});
@@ -0,0 +1,260 @@
+/**
+ * Web Sampler - Jam Relay
+ * A small self-hostable WebSocket relay for jam sessions (no dependencies).
+ *
+ *   node server/relay.js [port]     (default 8787, or $PORT)
+ *
+ * Browsers connect to ws://<host>:<port>/?room=<name>&host=1 (to host) or ?room=<name> (to join).
+ * The relay knows nothing about audio: it forwards every message to the other peers in the
+ * room, or only to `to` when a message names one.
+ *   Text messages:   JSON; the relay stamps `from` with the sender's id.
+ *   Binary messages: [uint32 header length][JSON header][payload]; routed by the header's `to`,
+ *                    with `from` stamped into the header.
+ * Relay messages: { type: 'welcome', id, host, peers }, { type: 'peer-joined', id },
+ *                 { type: 'peer-left', id }, { type: 'host', id }, { type: 'error', message }
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024 * 1024; // A 10 s stereo float32 layer is ~4 MB
+
+// === FRAMING (RFC 6455) ===
+
+function encodeFrame(payload, opcode, mask = false) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+    header[0] = 0x80 | opcode; // FIN: messages are never fragmented on the way out
+    header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+    if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    if (!mask) return Buffer.concat([header, payload]);
+
+    const key = crypto.randomBytes(4);
+    key.copy(header, 2 + lengthBytes);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= key[i & 3];
+    return Buffer.concat([header, masked]);
+}
+
+/**
+ * Turns a byte stream into whole messages: calls onMessage(opcode, payload) once per
+ * message (continuation frames joined) and onError(message) on a protocol violation,
+ * including a message (all its frames together) longer than maxMessage bytes.
+ */
+class FrameParser {
+    constructor(onMessage, onError, maxMessage = MAX_MESSAGE) {
+        this.onMessage = onMessage;
+        this.onError = onError;
+        this.maxMessage = maxMessage;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0; // Total of this.fragments: the whole message is capped, not each frame
+        this.fragmentOpcode = 0;
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        while (this.parseFrame()) { /* keep going while whole frames are buffered */ }
+    }
+
+    parseFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return false;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buf.length < 4) return false;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return false;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > this.maxMessage) {
+            this.onError('Message too large');
+            return false;
+        }
+        const keyOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + length) return false;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buf[keyOffset + (i & 3)];
+        }
+        this.buffer = buf.subarray(offset + length);
+
+        // Control frames may come between fragments, data frames may not
+        if (opcode < 0x8 && (opcode === 0x0) !== (this.fragments.length > 0)) {
+            this.fragments = [];
+            this.onError(opcode === 0x0 ? 'Unexpected continuation frame' : 'Expected a continuation frame');
+            return false;
+        }
+
+        if (opcode >= 0x8) {
+            this.onMessage(opcode, payload); // Control frames are never fragmented
+        } else if (opcode === 0x0) {
+            this.fragmentBytes += payload.length;
+            if (this.fragmentBytes > this.maxMessage) {
+                this.fragments = [];
+                this.onError('Message too large');
+                return false;
+            }
+            this.fragments.push(payload);
+            if (fin) this.finishMessage();
+        } else if (fin) {
+            this.onMessage(opcode, payload);
+        } else {
+            this.fragmentOpcode = opcode;
+            this.fragments = [payload];
+            this.fragmentBytes = payload.length;
+        }
+        return true;
+    }
+
+    finishMessage() {
+        const payload = Buffer.concat(this.fragments);
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.onMessage(this.fragmentOpcode, payload);
+    }
+}
+
+// Header of a binary message (see the top of this file)
+function readBinaryHeader(payload) {
+    if (payload.length < 4) return null;
+    const length = payload.readUInt32LE(0);
+    try {
+        return JSON.parse(payload.subarray(4, 4 + length).toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// The same binary message with the header's `from` set to the sender, as for text messages
+function stampBinary(payload, header, from) {
+    const json = Buffer.from(JSON.stringify({ ...header, from }));
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(json.length, 0);
+    return Buffer.concat([length, json, payload.subarray(4 + payload.readUInt32LE(0))]);
+}
+
+// === RELAY ===
+
+function createRelay() {
+    const rooms = new Map(); // name -> { host, peers: Map(id -> peer) }
+    let nextId = 1;
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Web Sampler jam relay\n');
+    });
+
+    const send = (peer, data) => {
+        if (peer.socket.destroyed) return;
+        const isText = typeof data === 'string';
+        peer.socket.write(encodeFrame(isText ? Buffer.from(data) : data, isText ? 0x1 : 0x2));
+    };
+    const sendJson = (peer, msg) => send(peer, JSON.stringify(msg));
+
+    const route = (room, from, to, data) => {
+        if (to !== undefined && to !== null) {
+            const target = room.peers.get(to);
+            if (target) send(target, data);
+            return;
+        }
+        room.peers.forEach(peer => { if (peer !== from) send(peer, data); });
+    };
+
+    const leave = (room, roomName, peer) => {
+        if (!room.peers.delete(peer.id)) return;
+        if (room.peers.size === 0) {
+            rooms.delete(roomName);
+            return;
+        }
+        room.peers.forEach(other => sendJson(other, { type: 'peer-left', id: peer.id }));
+        if (room.host === peer.id) {
+            // The longest-connected peer takes over (its loop clock becomes the shared one)
+            room.host = room.peers.keys().next().value;
+            room.peers.forEach(other => sendJson(other, { type: 'host', id: room.host }));
+        }
+    };
+
+    server.on('upgrade', (req, socket) => {
+        socket.on('error', () => socket.destroy()); // Before anything is written: a reset must not crash the relay
+        const key = req.headers['sec-websocket-key'];
+        const url = new URL(req.url, 'http://relay');
+        const roomName = url.searchParams.get('room');
+        if (!key || req.headers.upgrade.toLowerCase() !== 'websocket' || !roomName) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        socket.setNoDelay(true);
+
+        const peer = { id: String(nextId++), socket };
+        const wantsHost = url.searchParams.get('host') === '1';
+        let room = rooms.get(roomName);
+        const reject = (message) => {
+            sendJson(peer, { type: 'error', message });
+            socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+        };
+        if (wantsHost && room) return reject(`Room "${roomName}" already has a host.`);
+        if (!wantsHost && !room) return reject(`No jam called "${roomName}" is running.`);
+        if (!room) {
+            room = { host: peer.id, peers: new Map() };
+            rooms.set(roomName, room);
+        }
+
+        room.peers.forEach(other => sendJson(other, { type: 'peer-joined', id: peer.id }));
+        sendJson(peer, { type: 'welcome', id: peer.id, host: room.host, peers: [...room.peers.keys()] });
+        room.peers.set(peer.id, peer);
+
+        const parser = new FrameParser((opcode, payload) => {
+            if (opcode === 0x1) {
+                let msg;
+                try {
+                    msg = JSON.parse(payload.toString('utf8'));
+                } catch (e) {
+                    return;
+                }
+                // Valid JSON isn't necessarily a message (`null`, `3`, `[]`)
+                if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return;
+                msg.from = peer.id;
+                route(room, peer, msg.to, JSON.stringify(msg));
+            } else if (opcode === 0x2) {
+                const header = readBinaryHeader(payload);
+                if (header && typeof header === 'object' && !Array.isArray(header)) {
+                    route(room, peer, header.to, stampBinary(payload, header, peer.id));
+                }
+            } else if (opcode === 0x8) {
+                socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(payload, 0xA));
+            }
+        }, (message) => {
+            console.warn(`Peer ${peer.id}: ${message}`);
+            socket.destroy();
+        });
+
+        socket.on('data', (chunk) => parser.push(chunk));
+        socket.on('close', () => leave(room, roomName, peer));
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+    createRelay().listen(port, () => console.log(`Jam relay listening on ws://localhost:${port}`));
+}
+
+module.exports = { createRelay, encodeFrame, FrameParser, readBinaryHeader };
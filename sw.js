@@ -0,0 +1,72 @@
+/**
+ * Web Sampler - Service Worker
+ * Caches the app shell so the looper installs and runs with no connection.
+ *
+ * Bump VERSION with every deploy: the new worker precaches the new shell next to the old
+ * one and waits, and the page offers to reload into it (a reload mid-jam is the player's call).
+ */
+const VERSION = '5';
+const SHELL_CACHE = `web-sampler-shell-v${VERSION}`;
+const FONT_CACHE = 'web-sampler-fonts'; // Google Fonts, cached on first use (system fonts until then)
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'limiter-worklet.js',
+    'looper.js',
+    'jam.js',
+    'script.js',
+    'capture-worklet.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    // 'reload' skips the HTTP cache so a new version never precaches stale files
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache =>
+        cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('web-sampler-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page asks for this when the player accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === location.origin) {
+        // App shell first; anything else same-origin falls through to the network
+        event.respondWith(caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached =>
+            cached || (request.mode === 'navigate' ? caches.match('./') : null)
+        ).then(cached => cached || fetch(request)));
+        return;
+    }
+
+    if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(caches.open(FONT_CACHE).then(async cache => {
+            const cached = await cache.match(request);
+            const fresh = fetch(request).then(response => {
+                if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+                return response;
+            });
+            if (!cached) return fresh;
+            fresh.catch(() => { }); // Offline: the cached copy will do
+            return cached;
+        }));
+    }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockBuffer, SAMPLE_RATE, EXACT_TAKES, createLooper, recordTake } = require('./mock-audio');
+const { NodeWebSocket, waitFor } = require('./ws-client');
+const { JamSession, encodeTrackMessage, decodeTrackMessage } = require('../jam');
+const { createRelay } = require('../server/relay');
+
+async function player() {
+    const { ctx, looper } = await createLooper({ loopEdges: EXACT_TAKES }); // Impulse takes stay sample-exact
+    return { ctx, looper, jam: new JamSession(looper, { WebSocket: NodeWebSocket }) };
+}
+
+test('track messages round-trip header and audio', () => {
+    const buffer = new MockBuffer(2, 5, 44100);
+    buffer.getChannelData(0).set([0, 0.25, -0.5, 1, -1]);
+    buffer.getChannelData(1).set([1, 2, 3, 4, 5]);
+    const { header, channels } = decodeTrackMessage(encodeTrackMessage({ type: 'track', scene: 1, offset: 3 }, buffer));
+
+    assert.deepStrictEqual(header, { type: 'track', scene: 1, offset: 3, channels: 2, length: 5, sampleRate: 44100 });
+    assert.deepStrictEqual([...channels[0]], [0, 0.25, -0.5, 1, -1]);
+    assert.deepStrictEqual([...channels[1]], [1, 2, 3, 4, 5]);
+});
+
+test('a late joiner gets the session in time, and its overdubs reach the host', async (t) => {
+    const server = createRelay();
+    const sockets = new Set();
+    server.on('connection', (socket) => sockets.add(socket));
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `ws://localhost:${server.address().port}/`;
+    const host = await player();
+    const guest = await player();
+    t.after(() => {
+        host.jam.disconnect();
+        guest.jam.disconnect();
+        sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    assert.strictEqual(await host.jam.connect(url, 'band', { host: true }), true);
+    assert.ok(host.jam.isHost);
+    await recordTake(host.looper, host.ctx, 1);
+    host.ctx.advance(1.3); // The host's clock runs well ahead of the guest's
+
+    assert.strictEqual(await guest.jam.connect(url, 'band'), true);
+    assert.ok(!guest.jam.isHost);
+    await waitFor(() => guest.looper.isPlaying);
+
+    assert.strictEqual(guest.looper.masterBuffer.length, SAMPLE_RATE);
+    assert.strictEqual(guest.jam.clockOffset, host.ctx.currentTime - guest.ctx.currentTime);
+    const hostPosition = (host.ctx.currentTime - host.looper.loopStartTime) % 1;
+    const guestPosition = (guest.ctx.currentTime - guest.looper.loopStartTime) % 1;
+    assert.ok(Math.abs(hostPosition - guestPosition) < 1e-6, 'both play from the same loop position');
+
+    // The guest overdubs half a loop, starting a quarter in
+    guest.ctx.advance(guest.looper.loopStartTime + 1.25 - guest.ctx.currentTime);
+    guest.ctx.signal = () => 0.5;
+    await recordTake(guest.looper, guest.ctx, 0.5);
+    await waitFor(() => host.looper.layers.length === 1);
+
+    const layer = host.looper.layers[0];
+    assert.strictEqual(host.looper.layerOffsets.get(layer), SAMPLE_RATE / 4);
+    assert.strictEqual(layer.getChannelData(0)[SAMPLE_RATE / 2], 0.5);
+    assert.strictEqual(guest.looper.layers.length, 1, 'not echoed back');
+
+    // Transport follows the host
+    host.looper.stop();
+    await waitFor(() => !guest.looper.isPlaying);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SAMPLE_RATE, EXACT_TAKES, createLooper, recordTake } = require('./mock-audio');
+
+// Edits are checked sample by sample: keep takes exactly as recorded
+const setup = () => createLooper({ loopEdges: EXACT_TAKES });
+
+// A 1 s master, then a 0.25 s rising ramp overdubbed 0.3 s into the loop
+async function withLayer() {
+    const { ctx, looper, rendered } = await setup();
+    ctx.signal = () => 0.1;
+    await recordTake(looper, ctx, 1);
+    ctx.advance(0.3);
+    ctx.signal = (frame) => (frame % SAMPLE_RATE) / SAMPLE_RATE;
+    await recordTake(looper, ctx, 0.25);
+    return { ctx, looper, rendered };
+}
+
+const lastLabel = (looper) => looper.history.undoStack[looper.history.undoStack.length - 1].label;
+
+test('reversing a layer plays it backwards in the same place', async () => {
+    const { looper } = await withLayer();
+    const original = looper.layers[0];
+    const range = looper.contentRange(original);
+
+    looper.reverseTrack(1);
+    const reversed = looper.layers[0];
+    assert.notStrictEqual(reversed, original, 'edits work on a copy');
+    const { start, length } = range;
+    const loop = original.length;
+    const src = original.getChannelData(0);
+    const data = reversed.getChannelData(0);
+    for (let rel = 0; rel < length; rel++) assert.strictEqual(data[(start + rel) % loop], src[(start + length - 1 - rel) % loop]);
+    assert.deepStrictEqual(looper.contentRange(reversed), range);
+    assert.strictEqual(lastLabel(looper), 'Reverse');
+
+    looper.undo();
+    assert.strictEqual(looper.layers[0], original);
+});
+
+test('normalize peaks at -1 dBFS and gain steps merge into one undo step', async () => {
+    const { looper } = await withLayer();
+    const original = looper.layers[0];
+    const peak = (buffer) => Math.max(...buffer.getChannelData(0).map(Math.abs));
+
+    looper.normalizeTrack(1);
+    assert.ok(Math.abs(peak(looper.layers[0]) - Math.pow(10, -1 / 20)) < 1e-6);
+    const normalized = looper.layers[0];
+
+    looper.gainTrack(1, -3);
+    looper.gainTrack(1, -3);
+    assert.ok(Math.abs(peak(looper.layers[0]) / peak(normalized) - Math.pow(10, -6 / 20)) < 1e-6);
+    assert.strictEqual(lastLabel(looper), 'Gain');
+    looper.undo();
+    assert.strictEqual(looper.layers[0], normalized, 'both steps undone at once');
+    looper.undo();
+    assert.strictEqual(looper.layers[0], original);
+});
+
+test('gain steps on different layers at the same index stay separate undo steps', async () => {
+    const { ctx, looper } = await withLayer();
+    looper.stop();
+    looper.queueScene(1);
+    await recordTake(looper, ctx, 0.25);
+    looper.stop();
+    const [a, b] = looper.scenes.map(scene => scene.layers[0]);
+
+    looper.queueScene(0);
+    looper.gainTrack(1, -3);
+    looper.queueScene(1);
+    looper.gainTrack(1, -3); // Layer 1 again, but another buffer
+    assert.deepStrictEqual(looper.history.undoStack.slice(-2).map(entry => entry.label), ['Gain', 'Gain']);
+
+    looper.undo();
+    assert.strictEqual(looper.scenes[1].layers[0], b);
+    assert.notStrictEqual(looper.scenes[0].layers[0], a, 'scene A keeps its own step');
+});
+
+test('fader drags merge per track, on either side of an edit', async () => {
+    const { looper } = await withLayer();
+    const steps = () => looper.history.undoStack.map(entry => entry.label);
+    const before = steps().length;
+
+    looper.setTrackVolume(1, 0.8);
+    looper.setTrackVolume(1, 0.7);
+    looper.normalizeTrack(1);
+    looper.setTrackVolume(1, 0.6); // The layer is a new buffer now
+    looper.setTrackVolume(1, 0.5);
+    looper.setTrackPan(1, -0.5);
+    looper.setTrackPan(1, -1);
+    assert.deepStrictEqual(steps().slice(before), ['Volume', 'Normalize', 'Volume', 'Pan']);
+    const key = looper.history.undoStack[looper.history.undoStack.length - 2].key;
+    assert.strictEqual(key, `volume:${looper.trackKey(looper.layers[0])}`);
+
+    looper.undo();
+    looper.undo();
+    assert.strictEqual(looper.stripFor(looper.layers[0]).volume, 0.7);
+});
+
+test('half and double speed keep the loop length and where the layer starts', async () => {
+    const { looper } = await withLayer();
+    const original = looper.layers[0];
+    const { start, length } = looper.contentRange(original);
+    const loop = original.length;
+    const src = original.getChannelData(0);
+
+    looper.changeTrackSpeed(1, 2);
+    const fast = looper.layers[0];
+    const data = fast.getChannelData(0);
+    assert.strictEqual(fast.length, loop);
+    assert.ok(Math.abs(looper.contentRange(fast).length - (loop / 2 + length / 2)) <= 2, 'plays twice per loop');
+    for (let k = 0; k < length / 2 - 1; k += 97) {
+        assert.ok(Math.abs(data[(start + k) % loop] - src[(start + 2 * k) % loop]) < 1e-6);
+        assert.strictEqual(data[(start + loop / 2 + k) % loop], data[(start + k) % loop]);
+    }
+
+    looper.undo();
+    looper.changeTrackSpeed(1, 0.5);
+    const slow = looper.layers[0];
+    assert.strictEqual(looper.contentRange(slow).start, start);
+    assert.ok(Math.abs(looper.contentRange(slow).length - 2 * length) <= 2, 'twice as long');
+
+    const master = looper.masterBuffer;
+    looper.changeTrackSpeed(0, 2);
+    assert.strictEqual(looper.masterBuffer, master, 'the master sets the loop: no speed change');
+});
+
+test('duplicating copies the audio, offset and mixer settings into the next layer', async () => {
+    const { looper } = await withLayer();
+    const original = looper.layers[0];
+    looper.setTrackVolume(1, 0.5);
+
+    looper.duplicateTrack(1);
+    assert.strictEqual(looper.layers.length, 2);
+    const copy = looper.layers[1];
+    assert.notStrictEqual(copy, original);
+    assert.deepStrictEqual(copy.getChannelData(0), original.getChannelData(0));
+    assert.strictEqual(looper.layerOffsets.get(copy), looper.layerOffsets.get(original));
+    assert.strictEqual(looper.stripFor(copy).volume, 0.5);
+
+    looper.duplicateTrack(0);
+    assert.strictEqual(looper.layers[0].length, looper.masterBuffer.length, 'a master copy becomes the first layer');
+    assert.strictEqual(looper.layers.length, 3);
+
+    looper.deleteLayer(1);
+    looper.undo();
+    looper.undo();
+    assert.deepStrictEqual(looper.layers, [original, copy]);
+});
+
+test('bouncing renders layers through their strips into one layer', async () => {
+    const { ctx, looper, rendered } = await withLayer();
+    ctx.advance(0.5);
+    ctx.signal = () => 0.2;
+    await recordTake(looper, ctx, 0.25);
+    const [first, second] = looper.layers;
+    looper.setTrackPan(2, -1);
+    looper.setOutputVolume(0.5);
+
+    assert.strictEqual(await looper.bounceTracks([1]), null, 'needs two layers');
+    assert.strictEqual(await looper.bounceTracks([0, 1]), null, 'the master is not a layer');
+
+    const bounced = await looper.bounceTracks([2, 1]);
+    assert.deepStrictEqual(looper.layers, [bounced]);
+    assert.strictEqual(looper.layerOffsets.get(bounced), looper.layerOffsets.get(first));
+    assert.strictEqual(looper.stripFor(bounced).pan, 0, 'the pan is printed, the new strip is flat');
+    assert.strictEqual(lastLabel(looper), 'Bounce');
+
+    const offline = rendered[rendered.length - 1];
+    const sources = offline.sources.filter(source => source.buffer);
+    assert.deepStrictEqual(sources.map(source => source.buffer), [first, second]);
+    const output = offline.gains.find(node => node.outputs.has(offline.destination));
+    assert.strictEqual(output.gain.value, 1, 'not through the master fader');
+
+    looper.undo();
+    assert.deepStrictEqual(looper.layers, [first, second]);
+    assert.strictEqual(looper.stripFor(second).pan, -1);
+});
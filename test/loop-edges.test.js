@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SAMPLE_RATE, createLooper: setup, recordTake } = require('./mock-audio');
+const { findContent, nearestZeroCrossing, loopSegment } = require('../looper');
+
+// A take as heard `seconds` after pressing record (latency compensated)
+const takeSignal = (ctx, looper, signal) => {
+    const start = ctx.currentTime + looper.latencyCompensationS;
+    return (frame) => signal(frame / SAMPLE_RATE - start);
+};
+
+// Silence, a 30 ms button thump, the playing (a 220 Hz tone from 0.3 s to 0.9 s), silence, another thump
+const playedWithThumps = (t) => {
+    if (t >= 0.1 && t < 0.13) return 0.8;
+    if (t >= 0.3 && t < 0.9) return 0.5 * Math.sin(2 * Math.PI * 220 * (t - 0.3));
+    if (t >= 1.05 && t < 1.08) return -0.8;
+    return 0;
+};
+
+test('content is found between the silence and button thumps at either end', () => {
+    const data = new Float32Array(Math.round(1.2 * SAMPLE_RATE)).map((v, i) => playedWithThumps(i / SAMPLE_RATE));
+    const { start, end } = findContent([data], SAMPLE_RATE);
+    assert.ok(start > 0.28 * SAMPLE_RATE && start <= 0.3 * SAMPLE_RATE, `start ${start / SAMPLE_RATE}`);
+    assert.ok(end >= 0.9 * SAMPLE_RATE && end < 0.93 * SAMPLE_RATE, `end ${end / SAMPLE_RATE}`);
+
+    assert.strictEqual(findContent([data], SAMPLE_RATE, { keepStart: true }).start, 0);
+    assert.deepStrictEqual(findContent([new Float32Array(1000)], SAMPLE_RATE), { start: 0, end: 1000 });
+});
+
+test('loop points move to the nearest zero crossing', () => {
+    const period = 64;
+    const data = new Float32Array(1024).map((v, i) => Math.sin(2 * Math.PI * (i + 0.5) / period));
+    // Crossings between 31|32, 63|64...: from 40, the nearest is 32 (within 10 samples)
+    assert.strictEqual(nearestZeroCrossing([data], 40, 10), 32);
+    assert.strictEqual(nearestZeroCrossing([data], 48, 10), 48, 'none in reach');
+});
+
+test('the wrap crossfades into audio recorded past the loop end', () => {
+    const length = 1000;
+    const fade = 64;
+    const data = new Float32Array(length + 200).map((v, i) => Math.sin(2 * Math.PI * i / 60));
+    const [plain] = loopSegment([data], 0, length, 0);
+    const [faded] = loopSegment([data], 0, length, fade);
+    const jump = (out) => Math.abs(out[0] - out[length - 1]);
+
+    assert.ok(jump(plain) > 0.3, 'cut mid-waveform');
+    assert.ok(jump(faded) < 0.15, `the wrap continues the waveform (${jump(faded)})`);
+    assert.deepStrictEqual(faded.subarray(fade), plain.subarray(fade), 'only the fade region changes');
+
+    // Nothing to blend with: short fades at both ends
+    const [edges] = loopSegment([data.subarray(0, length)], 0, length, fade);
+    assert.ok(Math.abs(edges[0]) < 0.05 && Math.abs(edges[length - 1]) < 0.05);
+});
+
+test('a recorded master is trimmed to the playing, unless trimming is off', async () => {
+    for (const trim of [true, false]) {
+        const { ctx, looper } = await setup();
+        looper.setLoopEdges({ trim });
+        ctx.signal = takeSignal(ctx, looper, playedWithThumps);
+        await recordTake(looper, ctx, 1.2);
+
+        const duration = looper.loopDuration;
+        if (trim) assert.ok(duration > 0.6 && duration < 0.64, `trimmed to ${duration}`);
+        else assert.ok(Math.abs(duration - 1.2) < 0.01, `kept whole (${duration})`);
+        assert.strictEqual(looper.masterBuffer.duration, duration);
+    }
+});
+
+test('in tempo mode the master keeps whole bars', async () => {
+    const { ctx, looper } = await setup();
+    looper.setTempo({ enabled: true, bpm: 120, beatsPerBar: 2, click: false, countInBars: 0 });
+    ctx.signal = takeSignal(ctx, looper, playedWithThumps);
+    await recordTake(looper, ctx, 1.2);
+    assert.strictEqual(looper.masterBuffer.length, SAMPLE_RATE, 'one 1 s bar, nothing trimmed');
+});
+
+test('overdubs fade in and out at their punch edges', async () => {
+    for (const crossfades of [true, false]) {
+        const { ctx, looper } = await setup();
+        looper.setLoopEdges({ trim: false, zeroCrossings: false, crossfades });
+        await recordTake(looper, ctx, 1);
+
+        const offset = Math.round(looper.currentPosition() * SAMPLE_RATE);
+        ctx.signal = () => 0.5;
+        await recordTake(looper, ctx, 0.25);
+        const layer = looper.layers[0].getChannelData(0);
+
+        if (crossfades) {
+            assert.ok(layer[offset] < 0.01, 'fades in');
+            assert.ok(Math.abs(layer[offset + 200] - 0.5) < 1e-6);
+        } else {
+            assert.strictEqual(layer[offset], 0.5, 'cuts in');
+        }
+        const last = layer.findLastIndex(v => v !== 0);
+        assert.ok(crossfades ? layer[last] < 0.01 : layer[last] === 0.5);
+    }
+});
@@ -0,0 +1,385 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockAudioContext, SAMPLE_RATE, EXACT_TAKES, createLooper, recordTake } = require('./mock-audio');
+const { Looper, LooperError } = require('../looper');
+
+// Takes here are sparse impulses checked sample by sample: no trimming or fades
+const setup = () => createLooper({ loopEdges: EXACT_TAKES });
+
+// An input that plays `value` at each given context time, heard `latency` later
+const impulses = (ctx, hits, latency) => {
+    const frames = new Map(hits.map(([time, value]) => [Math.round((time + latency) * ctx.sampleRate), value]));
+    return (frame) => frames.get(frame) || 0;
+};
+
+test('the first take becomes the master loop and starts playing', async () => {
+    const { ctx, looper } = await setup();
+    const states = [];
+    const added = [];
+    looper.on('state', (state) => states.push(state));
+    looper.on('layeradded', (layer) => added.push(layer));
+
+    // Something played 100 samples after pressing record
+    ctx.signal = impulses(ctx, [[100 / SAMPLE_RATE, 1]], looper.latencyCompensationS);
+    await recordTake(looper, ctx, 1);
+
+    assert.strictEqual(looper.masterBuffer.length, SAMPLE_RATE);
+    assert.strictEqual(looper.loopDuration, 1);
+    assert.strictEqual(looper.masterBuffer.getChannelData(0)[100], 1, 'latency is compensated');
+    assert.deepStrictEqual(states, ['RECORDING', 'PLAYING']);
+    assert.strictEqual(added.length, 1);
+    assert.strictEqual(added[0].buffer, looper.masterBuffer);
+    assert.strictEqual(added[0].scene, null);
+    assert.ok(looper.isPlaying);
+});
+
+test('an overdub lands at the loop position it was played at', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    const loopStart = looper.loopStartTime;
+
+    // Press record a quarter into the loop, play a note at the half-way point
+    ctx.advance(loopStart + 1.25 - ctx.currentTime);
+    ctx.signal = impulses(ctx, [[loopStart + 1.5, 0.5]], looper.latencyCompensationS);
+    const added = [];
+    looper.on('layeradded', (layer) => added.push(layer));
+    await recordTake(looper, ctx, 0.5);
+
+    assert.strictEqual(looper.layers.length, 1);
+    const layer = looper.layers[0];
+    assert.strictEqual(layer.length, looper.masterBuffer.length);
+    assert.strictEqual(looper.layerOffsets.get(layer), SAMPLE_RATE / 4);
+    assert.strictEqual(layer.getChannelData(0)[SAMPLE_RATE / 2], 0.5);
+    assert.deepStrictEqual(added.map(({ scene, offset }) => ({ scene, offset })), [{ scene: 0, offset: SAMPLE_RATE / 4 }]);
+});
+
+test('an overdub held across the loop end wraps to the start', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    const loopStart = looper.loopStartTime;
+
+    ctx.advance(loopStart + 1.75 - ctx.currentTime);
+    ctx.signal = impulses(ctx, [[loopStart + 2.1, 0.25]], looper.latencyCompensationS);
+    await recordTake(looper, ctx, 0.5);
+
+    const data = looper.layers[0].getChannelData(0);
+    assert.strictEqual(data[Math.round(0.1 * SAMPLE_RATE)], 0.25);
+});
+
+test('a quantized overdub starts and stops on loop boundaries', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    const loopStart = looper.loopStartTime;
+    looper.setRecordStart({ mode: 'quantized', quantizeTo: 'loop' });
+    const states = [];
+    looper.on('state', (state) => states.push(state));
+
+    // Armed a third of the way in: the take waits for the wrap
+    ctx.advance(loopStart + 1.3 - ctx.currentTime);
+    ctx.signal = impulses(ctx, [[loopStart + 2.5, 0.5]], looper.latencyCompensationS);
+    await looper.startRecording();
+    assert.deepStrictEqual(states, ['ARMED']);
+    ctx.advance(0.7);
+    t.mock.timers.tick(701);
+    assert.deepStrictEqual(states, ['ARMED', 'RECORDING']);
+
+    // Released late in the loop: recording runs on to the next wrap
+    ctx.advance(0.6);
+    const stopped = looper.stopRecording();
+    ctx.advance(0.5);
+    await stopped;
+
+    const layer = looper.layers[0];
+    assert.strictEqual(looper.layerOffsets.get(layer), 0);
+    assert.strictEqual(layer.getChannelData(0)[SAMPLE_RATE / 2], 0.5);
+    assert.strictEqual(looper.layers.length, 1);
+});
+
+test('a threshold-triggered master keeps the pre-roll before the first note', async () => {
+    const { ctx, looper } = await setup();
+    looper.setRecordStart({ mode: 'threshold', threshold: 0.5, preRoll: 0.01 });
+    const states = [];
+    looper.on('state', (state) => states.push(state));
+
+    // Too quiet at 0.3 s; a soft lead-in at 0.495 s, then the note at 0.5 s
+    ctx.signal = impulses(ctx, [[0.3, 0.375], [0.495, 0.25], [0.5, 0.75]], looper.latencyCompensationS);
+    await looper.startRecording();
+    assert.deepStrictEqual(states, ['ARMED']);
+    ctx.advance(1.49);
+    assert.deepStrictEqual(states, ['ARMED', 'RECORDING']);
+    assert.strictEqual(looper.recordingStartTime.toFixed(3), '0.490');
+
+    const stopped = looper.stopRecording();
+    ctx.advance(0.1);
+    await stopped;
+
+    const data = looper.masterBuffer.getChannelData(0);
+    assert.strictEqual(looper.masterBuffer.length, SAMPLE_RATE);
+    assert.strictEqual(data[64], 0.25);
+    assert.strictEqual(data[128], 0.75);
+    assert.ok(!data.includes(0.375));
+});
+
+test('undo and redo step through takes', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    const master = looper.masterBuffer;
+    ctx.advance(0.3);
+    await recordTake(looper, ctx, 0.2);
+    const layer = looper.layers[0];
+
+    looper.undo();
+    assert.strictEqual(looper.layers.length, 0);
+    assert.strictEqual(looper.masterBuffer, master);
+
+    looper.redo();
+    assert.strictEqual(looper.layers[0], layer);
+
+    const states = [];
+    looper.on('state', (state) => states.push(state));
+    looper.undo();
+    looper.undo();
+    assert.strictEqual(looper.masterBuffer, null);
+    assert.strictEqual(states[states.length - 1], 'READY');
+    assert.ok(!looper.history.canUndo);
+    assert.ok(looper.history.canRedo);
+});
+
+test('feedback fades the layers under a take, once per wrap, until the mode is left', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    ctx.advance(0.25);
+    await recordTake(looper, ctx, 0.25);
+    const older = looper.layers[0];
+    const sessions = [];
+    looper.on('session', () => sessions.push(ctx.currentTime));
+
+    looper.setOverdubMode('feedback');
+    looper.setFeedback(0.5);
+    // Start half way through the loop and hold across two wraps
+    ctx.advance(looper.loopStartTime + Math.ceil(ctx.currentTime - looper.loopStartTime) + 0.5 - ctx.currentTime);
+    for (let i = 0; i < 20; i++) looper.tick(); // Animation frames no longer drive the decay
+    await recordTake(looper, ctx, 1.8);
+
+    const newest = looper.layers[1];
+    assert.strictEqual(looper.stripFor(older).fade, 0.25, 'two passes at 0.5');
+    assert.strictEqual(looper.stripFor(looper.masterBuffer).fade, 1, 'the master keeps its level');
+    assert.strictEqual(looper.stripFor(newest).fade, 1, 'the new take is not faded');
+    assert.ok(sessions.length <= 2, 'no autosave per pass');
+
+    looper.undo();
+    assert.strictEqual(looper.stripFor(older).fade, 1, 'undoing the take restores the level');
+    looper.redo();
+    assert.strictEqual(looper.stripFor(older).fade, 0.25);
+    assert.strictEqual(looper.serialize().manifest.scenes[0].layers[0].mixer.fade, 0.25);
+
+    looper.setOverdubMode('overdub');
+    assert.strictEqual(looper.stripFor(older).fade, 1, 'leaving feedback mode brings it back');
+    looper.undo();
+    assert.strictEqual(looper.stripFor(older).fade, 0.25);
+});
+
+test('tempo and pitch changes keep every track locked and are undoable', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    ctx.advance(looper.loopStartTime + 1.25 - ctx.currentTime);
+    await recordTake(looper, ctx, 0.25);
+    const master = looper.masterBuffer;
+    const layer = looper.layers[0];
+    const bpm = looper.tempo.bpm;
+
+    await looper.setTimePitch({ speed: 2 });
+    assert.strictEqual(looper.loopDuration, 0.5);
+    assert.strictEqual(looper.masterBuffer.length, SAMPLE_RATE / 2);
+    assert.strictEqual(looper.layers[0].length, SAMPLE_RATE / 2);
+    assert.strictEqual(looper.layerOffsets.get(looper.layers[0]), SAMPLE_RATE / 8);
+    assert.strictEqual(looper.tempo.bpm, bpm * 2);
+
+    // A further change renders from the recorded audio, and coalesces into one undo step
+    await looper.setTimePitch({ semitones: 3 });
+    assert.strictEqual(looper.masterBuffer.length, SAMPLE_RATE / 2);
+    assert.deepStrictEqual(looper.timePitch, { speed: 2, semitones: 3 });
+    await looper.setTimePitch({ speed: 1, semitones: 0 });
+    assert.strictEqual(looper.masterBuffer, master);
+    assert.strictEqual(looper.layers[0], layer);
+
+    await looper.setTimePitch({ speed: 0.5 });
+    looper.undo();
+    assert.strictEqual(looper.masterBuffer, master);
+    assert.strictEqual(looper.layerOffsets.get(layer), SAMPLE_RATE / 4);
+    assert.deepStrictEqual(looper.timePitch, { speed: 1, semitones: 0 });
+    assert.strictEqual(looper.tempo.bpm, bpm);
+    assert.strictEqual(looper.history.undoStack[looper.history.undoStack.length - 1].label, 'Record layer');
+});
+
+test('speed changes keep the BPM in range and are not dropped silently', async () => {
+    const { ctx, looper } = await setup();
+    looper.setTempo({ bpm: 200 });
+    await recordTake(looper, ctx, 1);
+    const errors = [];
+    looper.on('error', (err) => errors.push(err.code));
+
+    await looper.setTimePitch({ speed: 2 });
+    assert.strictEqual(looper.tempo.bpm, 300);
+    assert.strictEqual(looper.timePitch.speed, 1.5);
+
+    // Recording starts while the change renders: it is dropped, and the UI hears about it
+    const events = [];
+    looper.on('timepitch', () => events.push(looper.timePitch.speed));
+    const change = looper.setTimePitch({ speed: 1 });
+    await looper.startRecording();
+    await change;
+    assert.strictEqual(looper.timePitch.speed, 1.5);
+    assert.strictEqual(events[events.length - 1], 1.5);
+    assert.deepStrictEqual(errors, ['TIMEPITCH_BLOCKED']);
+});
+
+test('a queued scene waits for the wrap through tempo changes and undo', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    ctx.advance(0.25);
+    await recordTake(looper, ctx, 0.25);
+
+    looper.queueScene(1);
+    await looper.setTimePitch({ speed: 2 });
+    assert.strictEqual(looper.activeScene, 0, 'still on scene A');
+    assert.strictEqual(looper.pendingScene, 1);
+    assert.ok(looper.isPlaying);
+    const position = ctx.currentTime - looper.loopStartTime;
+    assert.ok(Math.abs(looper.pendingSceneTime - (looper.loopStartTime + Math.ceil(position / 0.5) * 0.5)) < 1e-9,
+        'at the next wrap of the new loop');
+
+    looper.undo();
+    assert.strictEqual(looper.activeScene, 0);
+    assert.strictEqual(looper.pendingScene, 1);
+
+    ctx.advance(looper.pendingSceneTime - ctx.currentTime + 0.01);
+    looper.tick();
+    assert.strictEqual(looper.activeScene, 1);
+});
+
+test('a session saved at another sample rate restores with its layers in place', async () => {
+    const { ctx, looper } = await setup();
+    await recordTake(looper, ctx, 1);
+    ctx.advance(0.3);
+    await recordTake(looper, ctx, 0.25);
+    const saved = looper.serialize();
+    const offset = saved.manifest.scenes[0].layers[0].offset;
+    assert.ok(offset > 0);
+
+    const { looper: restored } = await createLooper({ sampleRate: SAMPLE_RATE * 2 });
+    await restored.restore(saved);
+
+    const layer = restored.layers[0];
+    assert.strictEqual(layer.length, SAMPLE_RATE * 2);
+    assert.strictEqual(restored.layerOffsets.get(layer), offset * 2, 'the same time in the loop');
+});
+
+test('events reach every subscriber until they unsubscribe', () => {
+    const looper = new Looper({ storage: null });
+    const a = [];
+    const b = [];
+    const offA = looper.on('state', (state) => a.push(state));
+    looper.on('state', (state) => b.push(state));
+    looper.on('state', () => { throw new Error('broken subscriber'); });
+
+    looper.emit('state', 'PLAYING');
+    offA();
+    looper.emit('state', 'STOPPED');
+
+    assert.deepStrictEqual(a, ['PLAYING']);
+    assert.deepStrictEqual(b, ['PLAYING', 'STOPPED']);
+});
+
+test('failures are reported as typed errors instead of alerts', async () => {
+    const ctx = new MockAudioContext({ sampleRate: SAMPLE_RATE });
+    const looper = new Looper({ context: ctx, storage: null });
+    const errors = [];
+    looper.on('error', (err) => errors.push(err));
+    const quiet = console.error;
+    console.error = () => { };
+    try {
+        assert.strictEqual(await looper.exportWav(), null);
+        await looper.init(); // No input given and no getUserMedia in Node
+    } finally {
+        console.error = quiet;
+    }
+
+    assert.deepStrictEqual(errors.map(err => err.code), ['NOTHING_TO_EXPORT', 'INPUT_UNAVAILABLE']);
+    assert.ok(errors.every(err => err instanceof LooperError));
+});
+
+// getUserMedia over a set of plugged-in devices; each stream remembers its device
+function mockMediaDevices(plugged) {
+    const devices = {
+        plugged,
+        requests: [],
+        listeners: [],
+        async getUserMedia({ audio }) {
+            devices.requests.push(audio);
+            const wanted = audio.deviceId && audio.deviceId.exact;
+            if (wanted && !devices.plugged.includes(wanted)) throw Object.assign(new Error('gone'), { name: 'OverconstrainedError' });
+            const track = { onended: null, stop() { }, getSettings: () => ({ deviceId: wanted || 'default' }) };
+            return { getAudioTracks: () => [track], getTracks: () => [track] };
+        },
+        async enumerateDevices() {
+            return ['default', ...devices.plugged].map(deviceId => ({ kind: 'audioinput', deviceId, label: deviceId }));
+        },
+        addEventListener(type, listener) {
+            devices.listeners.push(listener);
+        }
+    };
+    return devices;
+}
+
+test('the input device is remembered and recovers from being unplugged', async () => {
+    const saved = new Map();
+    const storage = { getItem: (key) => saved.get(key) ?? null, setItem: (key, value) => saved.set(key, value) };
+    const devices = mockMediaDevices(['usb']);
+    globalThis.navigator = { mediaDevices: devices };
+    const quiet = console.error;
+    console.error = () => { };
+    try {
+        const ctx = new MockAudioContext({ sampleRate: SAMPLE_RATE });
+        const looper = new Looper({ context: ctx, storage, requestFrame: () => 0 });
+        const errors = [];
+        looper.on('error', (err) => errors.push(err.code));
+
+        await looper.setInputSettings({ deviceId: 'usb', echoCancellation: false, channels: 2 });
+        await looper.init();
+        assert.strictEqual(looper.inputDeviceId, 'usb');
+        assert.deepStrictEqual(devices.requests[0].deviceId, { exact: 'usb' });
+        assert.strictEqual(devices.requests[0].echoCancellation, false);
+        assert.strictEqual(looper.inputNode.channelCount, 2);
+        assert.strictEqual(new Looper({ storage }).inputSettings.deviceId, 'usb');
+
+        // Unplugged: falls back to the default input, but keeps preferring the USB one
+        devices.plugged = [];
+        await looper.stream.getAudioTracks()[0].onended();
+        assert.deepStrictEqual(errors, ['INPUT_LOST']);
+        assert.strictEqual(looper.inputDeviceId, 'default');
+        assert.strictEqual(looper.inputSettings.deviceId, 'usb');
+
+        // Plugged back in
+        devices.plugged = ['usb'];
+        await devices.listeners[0]();
+        assert.strictEqual(looper.inputDeviceId, 'usb');
+    } finally {
+        console.error = quiet;
+        delete globalThis.navigator;
+    }
+});
+
+test('a context suspended by the system is reported and resumed', async () => {
+    const { ctx, looper } = await setup();
+    const states = [];
+    looper.on('context', (state) => states.push(state));
+
+    ctx.setState('interrupted'); // iOS, e.g. a phone call
+    assert.strictEqual(await looper.resumeContext(), true);
+    assert.deepStrictEqual(states, ['interrupted', 'running']);
+
+    ctx.setState('closed');
+    assert.strictEqual(await looper.resumeContext(), false);
+});
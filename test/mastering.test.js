@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockAudioContext, MockBuffer, mockInput } = require('./mock-audio');
+const { Looper, measureLoudness, truePeak, limitLoop } = require('../looper');
+const { Limiter, LIMITER_LOOKAHEAD_S } = require('../limiter-worklet');
+
+const SAMPLE_RATE = 48000;
+
+const sine = (length, frequency, amplitude, phase = 0) =>
+    Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE + phase));
+
+const peakOf = (data) => data.reduce((peak, x) => Math.max(peak, Math.abs(x)), 0);
+
+test('a stereo 997 Hz sine reads its peak level in LUFS', () => {
+    const amplitude = Math.pow(10, -18 / 20);
+    const tone = sine(2 * SAMPLE_RATE, 997, amplitude);
+    const loudness = measureLoudness([tone, tone], SAMPLE_RATE);
+
+    assert.ok(Math.abs(loudness.integrated - -18) < 0.1, `${loudness.integrated}`);
+    assert.ok(Math.abs(loudness.samplePeak - -18) < 0.01);
+    assert.strictEqual(loudness.overs, 0);
+    assert.strictEqual(measureLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE).integrated, -Infinity);
+});
+
+test('true peak finds the peaks between samples', () => {
+    // A quarter of the sample rate, 45° off: every sample lands at ±0.707 of the real peak
+    const tone = sine(SAMPLE_RATE, SAMPLE_RATE / 4, 1, Math.PI / 4);
+    assert.ok(peakOf(tone) < 0.71);
+    assert.ok(Math.abs(truePeak([tone])) < 0.1, `${truePeak([tone])}`);
+});
+
+test('the limiter holds the ceiling, leaves quiet audio alone and delays by its look-ahead', () => {
+    const limiter = new Limiter(SAMPLE_RATE, 1, { ceiling: -6 });
+    const input = sine(SAMPLE_RATE, 220, 0.25);
+    input.set(sine(SAMPLE_RATE / 10, 220, 2), SAMPLE_RATE / 2); // A burst at +6 dBFS
+    const output = new Float32Array(input.length);
+    limiter.process([input], [output], input.length);
+
+    const ceiling = Math.pow(10, -6 / 20);
+    assert.ok(peakOf(output) <= ceiling + 1e-6, `${peakOf(output)}`);
+    const delay = limiter.length;
+    assert.strictEqual(delay, 240);
+    for (const i of [1000, 5000, 20000]) assert.strictEqual(output[i + delay], input[i]);
+    assert.ok(limiter.resetReduction() < -11.9);
+});
+
+test('limiting a loop keeps it in place and seamless', () => {
+    const loop = sine(SAMPLE_RATE, 100, 0.5);
+    loop.set(sine(100, 100, 1.5), 30000); // A spike that needs limiting
+    const limited = Float32Array.from(loop);
+    const reduction = limitLoop([limited], SAMPLE_RATE, -1);
+
+    assert.ok(reduction < 0);
+    assert.ok(peakOf(limited) <= Math.pow(10, -1 / 20) + 1e-6);
+    // Half a cycle of look-ahead delay would flip the sine; only the release is left here
+    for (const i of [0, 10000, 47000]) assert.ok(Math.abs(limited[i] - loop[i]) < 0.005, `${i}: ${limited[i]} vs ${loop[i]}`);
+});
+
+test('export mastering normalizes to the target, then limits', async () => {
+    const ctx = new MockAudioContext({ sampleRate: SAMPLE_RATE });
+    const looper = new Looper({ context: ctx, input: mockInput(ctx), storage: null, requestFrame: () => 0, cancelFrame: () => { } });
+    await looper.init();
+
+    const mix = new MockBuffer(2, SAMPLE_RATE, SAMPLE_RATE);
+    mix.copyToChannel(sine(SAMPLE_RATE, 997, 0.1), 0);
+    mix.copyToChannel(sine(SAMPLE_RATE, 997, 0.1), 1);
+
+    const loud = looper.masterMix(mix, { normalize: 'lufs', target: -14 }).report;
+    assert.ok(Math.abs(loud.integrated - -14) < 0.1, `${loud.integrated}`);
+    assert.ok(loud.gain > 5);
+    assert.strictEqual(loud.unlimitedOvers, 0);
+
+    // Pushed past full scale: the limiter catches it, and the report says what it saved
+    const hot = looper.masterMix(mix, { normalize: 'peak', target: 6 });
+    assert.ok(hot.report.unlimitedOvers > 0);
+    assert.ok(hot.report.samplePeak <= -1 + 1e-3, `${hot.report.samplePeak}`);
+    assert.strictEqual(hot.report.overs, 0);
+    assert.ok(hot.report.reduction < -6);
+
+    looper.setLimiter({ enabled: false });
+    const clipped = looper.masterMix(mix, { normalize: 'peak', target: 6 }).report;
+    assert.ok(clipped.overs > 0);
+    looper.undo();
+    assert.deepStrictEqual(looper.limiter, { enabled: true, ceiling: -1 });
+});
+
+test('calibration clicks skip the limiter and compensation adds its look-ahead back', async () => {
+    const ctx = new MockAudioContext({ sampleRate: SAMPLE_RATE });
+    const looper = new Looper({ context: ctx, input: mockInput(ctx), storage: null, requestFrame: () => 0, cancelFrame: () => { } });
+    await looper.init();
+    await looper.limiterReady;
+    looper.measuredLatencyS = 0.02; // As saved by an earlier calibration
+    looper.applyLatency();
+    assert.strictEqual(looper.latencyCompensationS, 0.02 + LIMITER_LOOKAHEAD_S);
+
+    const oscillators = [];
+    const createOscillator = ctx.createOscillator.bind(ctx);
+    ctx.createOscillator = () => oscillators[oscillators.push(createOscillator()) - 1];
+    looper.playCalibrationClick(ctx.currentTime);
+    const [envelope] = oscillators[0].outputs;
+    assert.deepStrictEqual([...envelope.outputs], [ctx.destination]);
+});
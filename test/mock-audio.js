@@ -0,0 +1,295 @@
+/**
+ * Minimal Web Audio stand-in for running the engine in Node.
+ * Nodes only record their connections and parameter values; nothing is rendered,
+ * except the capture worklet: the real capture-worklet.js runs against a scripted input
+ * signal whenever the test advances the clock with ctx.advance(seconds).
+ * Also the engine fixture the tests share: createLooper() and recordTake().
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Looper } = require('../looper');
+
+const BLOCK = 128; // Frames per render quantum, as in browsers
+
+class MockParam {
+    constructor(value) {
+        this.value = value;
+    }
+
+    setValueAtTime(value) { this.value = value; }
+    setTargetAtTime(value) { this.value = value; }
+    linearRampToValueAtTime(value) { this.value = value; }
+    exponentialRampToValueAtTime(value) { this.value = value; }
+    cancelScheduledValues() { }
+}
+
+class MockNode {
+    constructor(ctx, params = {}) {
+        this.context = ctx;
+        this.outputs = new Set();
+        Object.entries(params).forEach(([name, value]) => { this[name] = new MockParam(value); });
+    }
+
+    connect(node) {
+        this.outputs.add(node);
+        return node;
+    }
+
+    disconnect(node) {
+        if (node) this.outputs.delete(node);
+        else this.outputs.clear();
+    }
+}
+
+class MockBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+
+    getChannelData(ch) {
+        return this.channels[ch];
+    }
+
+    copyToChannel(source, ch, start = 0) {
+        this.channels[ch].set(source.subarray(0, this.length - start), start);
+    }
+
+    copyFromChannel(destination, ch, start = 0) {
+        destination.set(this.channels[ch].subarray(start, start + destination.length));
+    }
+}
+
+class MockSource extends MockNode {
+    constructor(ctx) {
+        super(ctx, { playbackRate: 1 });
+        this.buffer = null;
+        this.loop = false;
+        this.started = null; // { when, offset }
+        this.stopped = null; // when
+        ctx.sources.push(this);
+    }
+
+    start(when = 0, offset = 0) {
+        this.started = { when, offset };
+    }
+
+    stop(when = 0) {
+        this.stopped = when;
+    }
+}
+
+/**
+ * Stand-in for AudioWorkletNode: runs the processor class registered by the worklet
+ * script inside a vm sandbox and wires the two message ports together synchronously.
+ */
+class MockWorkletNode extends MockNode {
+    constructor(ctx, name) {
+        super(ctx);
+        const node = this;
+        const sandbox = ctx.workletScope;
+        this.port = { onmessage: null, postMessage: (data) => processorPort.onmessage && processorPort.onmessage({ data }) };
+        const processorPort = { onmessage: null, postMessage: (data) => node.port.onmessage && node.port.onmessage({ data }) };
+
+        sandbox.nextPort = processorPort;
+        this.processor = new sandbox.processors[name]();
+        ctx.worklets.push(this);
+    }
+}
+
+class MockAudioContext {
+    constructor({ sampleRate = 8000 } = {}) {
+        this.sampleRate = sampleRate;
+        this.frame = 0;
+        this.state = 'running';
+        this.destination = new MockNode(this);
+        this.sources = [];
+        this.worklets = [];
+        this.signal = () => 0; // Input sample at a given context frame
+
+        // Where worklet scripts run: the AudioWorkletGlobalScope bits the capture processor uses
+        const scope = {
+            processors: {},
+            nextPort: null,
+            currentFrame: 0,
+            sampleRate,
+            registerProcessor: (name, processor) => { scope.processors[name] = processor; }
+        };
+        scope.AudioWorkletProcessor = class {
+            constructor() {
+                this.port = scope.nextPort;
+            }
+        };
+        this.workletScope = vm.createContext(scope);
+        this.audioWorklet = {
+            addModule: async (url) => {
+                const file = path.join(__dirname, '..', url);
+                vm.runInContext(fs.readFileSync(file, 'utf8'), this.workletScope);
+            }
+        };
+    }
+
+    get currentTime() {
+        return this.frame / this.sampleRate;
+    }
+
+    async resume() {
+        this.setState('running');
+    }
+
+    async suspend() {
+        this.setState('suspended');
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.onstatechange) this.onstatechange();
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new MockBuffer(numberOfChannels, length, sampleRate);
+    }
+
+    createBufferSource() { return new MockSource(this); }
+    createGain() { return new MockNode(this, { gain: 1 }); }
+    createStereoPanner() { return new MockNode(this, { pan: 0 }); }
+    createBiquadFilter() { return new MockNode(this, { frequency: 350, Q: 1, gain: 0 }); }
+    createDelay() { return new MockNode(this, { delayTime: 0 }); }
+    createConvolver() { return new MockNode(this); }
+    createWaveShaper() { return new MockNode(this); }
+    createChannelSplitter() { return new MockNode(this); }
+    createMediaStreamSource(mediaStream) {
+        const source = new MockNode(this);
+        source.mediaStream = mediaStream;
+        return source;
+    }
+    createDynamicsCompressor() {
+        return new MockNode(this, { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 });
+    }
+    createOscillator() {
+        const osc = new MockNode(this, { frequency: 440 });
+        osc.start = () => { };
+        osc.stop = () => { };
+        return osc;
+    }
+    createAnalyser() {
+        const analyser = new MockNode(this);
+        analyser.fftSize = 2048;
+        analyser.getByteTimeDomainData = () => { };
+        analyser.getFloatTimeDomainData = () => { };
+        Object.defineProperty(analyser, 'frequencyBinCount', { get: () => analyser.fftSize / 2 });
+        return analyser;
+    }
+
+    /**
+     * Move the clock forward, feeding `signal` to every worklet one render quantum at a time.
+     */
+    advance(seconds) {
+        const end = this.frame + Math.round(seconds * this.sampleRate);
+        while (this.frame < end) {
+            const block = new Float32Array(BLOCK);
+            for (let i = 0; i < BLOCK; i++) block[i] = this.signal(this.frame + i);
+            this.workletScope.currentFrame = this.frame;
+            this.worklets.forEach(node => node.processor.process([[block]], [], {}));
+            this.frame += BLOCK;
+        }
+    }
+}
+
+/**
+ * Stand-in for OfflineAudioContext: startRendering() runs the suspend(time) callbacks in
+ * time order with the clock at each one, then resolves a silent buffer (nodes record what
+ * was scheduled instead; `gains` lists the gain nodes, to find the output stage).
+ */
+class MockOfflineContext extends MockAudioContext {
+    constructor(channels, length, sampleRate) {
+        super({ sampleRate });
+        this.length = length;
+        this.channels = channels;
+        this.suspends = [];
+        this.gains = [];
+    }
+
+    createGain() {
+        const gain = super.createGain();
+        this.gains.push(gain);
+        return gain;
+    }
+
+    suspend(time) {
+        return new Promise(resolve => this.suspends.push({ time, resolve }));
+    }
+
+    async resume() { }
+
+    async startRendering() {
+        const suspends = this.suspends.sort((a, b) => a.time - b.time);
+        for (const { time, resolve } of suspends) {
+            this.frame = Math.round(time * this.sampleRate);
+            resolve();
+            await new Promise(setImmediate); // Let the callback run before moving on
+        }
+        this.frame = this.length;
+        return this.createBuffer(this.channels, this.length, this.sampleRate);
+    }
+}
+
+// An input the engine can record from (stands in for a MediaStream source)
+const mockInput = (ctx) => new MockNode(ctx);
+
+globalThis.AudioWorkletNode = MockWorkletNode;
+
+// === ENGINE FIXTURE ===
+
+// 1 s = 100 render quanta and the default 50 ms latency = 5, so takes line up with blocks
+const SAMPLE_RATE = 12800;
+
+// For setLoopEdges(): takes checked sample by sample must stay exactly as recorded
+const EXACT_TAKES = { trim: false, zeroCrossings: false, crossfades: false };
+
+/**
+ * An initialized Looper on a MockAudioContext. Offline renders (exports, bounces,
+ * resampling) run on MockOfflineContexts, collected newest last in `rendered`.
+ * `loopEdges` is passed to setLoopEdges().
+ */
+async function createLooper({ sampleRate = SAMPLE_RATE, loopEdges = null } = {}) {
+    const ctx = new MockAudioContext({ sampleRate });
+    const rendered = [];
+    const looper = new Looper({
+        context: ctx,
+        input: mockInput(ctx),
+        storage: null,
+        requestFrame: () => 0,
+        cancelFrame: () => { },
+        createOfflineContext: (channels, length, rate) => {
+            const offline = new MockOfflineContext(channels, length, rate);
+            rendered.push(offline);
+            return offline;
+        }
+    });
+    await looper.init();
+    if (loopEdges) looper.setLoopEdges(loopEdges);
+    return { ctx, looper, rendered };
+}
+
+// Hold record for `seconds`, then let the worklet catch up with the (latency-shifted) stop
+async function recordTake(looper, ctx, seconds) {
+    await looper.startRecording();
+    ctx.advance(seconds);
+    const stopped = looper.stopRecording();
+    ctx.advance(looper.latencyCompensationS + 0.05);
+    await stopped;
+}
+
+module.exports = {
+    MockAudioContext, MockOfflineContext, MockBuffer, mockInput,
+    SAMPLE_RATE, EXACT_TAKES, createLooper, recordTake
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SAMPLE_RATE, createLooper: setup, recordTake } = require('./mock-audio');
+
+// A 1 s master, then a set: volume change, overdub, scene B queued at the next wrap, stop
+async function recordSet() {
+    const { ctx, looper, rendered } = await setup();
+    const states = [];
+    looper.on('performance', (state) => states.push(state));
+    await recordTake(looper, ctx, 1);
+
+    await looper.startPerformance();
+    const start = ctx.currentTime;
+    ctx.advance(0.5);
+    looper.setTrackVolume(0, 0.5);
+    ctx.advance(0.25);
+    await recordTake(looper, ctx, 0.5);
+    looper.queueScene(1);
+    const sceneTime = looper.pendingSceneTime - start;
+    ctx.advance(1);
+    looper.tick(); // Commits the scene once the clock has passed the wrap
+    ctx.advance(0.3);
+    looper.stop();
+    ctx.advance(0.2);
+    const stopped = looper.stopPerformance();
+    ctx.advance(looper.latencyCompensationS + 0.05);
+    const performance = await stopped;
+    return { ctx, looper, rendered, states, performance, sceneTime };
+}
+
+test('a performance records the output, the input and a timeline of engine actions', async () => {
+    const { looper, states, performance, sceneTime } = await recordSet();
+    const { timeline, duration, live, input } = performance;
+
+    assert.deepStrictEqual(states, ['RECORDING', 'STOPPED']);
+    assert.strictEqual(looper.performance, performance);
+    assert.deepStrictEqual(timeline.map(entry => entry.action), ['start', 'mix', 'take', 'scene', 'stop']);
+    assert.ok(Math.abs(timeline[1].time - 0.5) < 0.01);
+    assert.strictEqual(timeline[3].time, sceneTime, 'a queued scene lands on the wrap');
+
+    assert.deepStrictEqual(timeline[0].tracks.map(track => track.level), [1]);
+    assert.deepStrictEqual(timeline[1].tracks.map(track => track.level), [0.5]);
+    assert.strictEqual(timeline[2].tracks.length, 2, 'the overdub joins the mix');
+    assert.strictEqual(timeline[3].tracks.length, 1, 'scene B has no layers yet');
+    assert.ok(timeline.slice(0, 4).every(entry => entry.playing));
+    assert.strictEqual(timeline[4].playing, false);
+
+    assert.strictEqual(live.length, Math.round(duration * SAMPLE_RATE));
+    assert.strictEqual(input.length, live.length);
+    assert.strictEqual(performance.compressed, null, 'no MediaRecorder in Node');
+});
+
+test('a performance renders offline from its timeline', async () => {
+    const { looper, rendered, performance } = await recordSet();
+    const { timeline } = performance;
+
+    const result = await looper.exportPerformance({ source: 'render' });
+    assert.strictEqual(result.filename, 'my-set.wav');
+    const offline = rendered[rendered.length - 1];
+    assert.ok(offline.length >= Math.round((performance.duration + 2) * SAMPLE_RATE), 'room for effect tails');
+
+    // The master plays through until the stop, the layer only until the scene change
+    const loops = offline.sources.filter(source => source.loop);
+    const master = loops.filter(source => source.buffer === looper.masterBuffer);
+    const layer = loops.filter(source => source.buffer === looper.scenes[0].layers[0]);
+    assert.strictEqual(master.length, 1, 'one voice across level changes, takes and scenes');
+    assert.strictEqual(master[0].started.when, 0);
+    assert.ok(Math.abs(master[0].stopped - timeline[4].time - 0.03) < 1e-9);
+    assert.strictEqual(layer.length, 1);
+    assert.ok(Math.abs(layer[0].started.when - timeline[2].time) < 1e-9);
+    assert.ok(Math.abs(layer[0].stopped - timeline[3].time - 0.03) < 1e-9);
+
+    // Each voice starts where the live loop was at that moment
+    const { loopStart, loopDuration } = timeline[2];
+    const position = (timeline[2].time - loopStart) % loopDuration;
+    assert.ok(Math.abs(layer[0].started.offset - position) < 1e-9);
+
+    // The player's input is mixed in from the start
+    const input = offline.sources.find(source => source.buffer === performance.input);
+    assert.strictEqual(input.started.when, 0);
+});
+
+test('without a recorded set there is nothing to export', async () => {
+    const { looper } = await setup();
+    const errors = [];
+    looper.on('error', (err) => errors.push(err.code));
+    assert.strictEqual(await looper.exportPerformance(), null);
+    assert.deepStrictEqual(errors, ['NOTHING_TO_EXPORT']);
+    assert.strictEqual(await looper.stopPerformance(), null);
+});
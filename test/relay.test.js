@@ -0,0 +1,181 @@
+const test = require('node:test');
+const net = require('net');
+const assert = require('node:assert');
+const { createRelay, encodeFrame, FrameParser } = require('../server/relay');
+const { NodeWebSocket, waitFor } = require('./ws-client');
+
+async function startRelay(t) {
+    const server = createRelay();
+    const sockets = new Set();
+    server.on('connection', (socket) => sockets.add(socket));
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => {
+        sockets.forEach(socket => socket.destroy()); // close() waits for upgraded connections
+        return new Promise(resolve => server.close(resolve));
+    });
+    return `ws://localhost:${server.address().port}/`;
+}
+
+// Connect to `room` and collect everything the relay sends
+async function connect(url, room, host = false) {
+    const socket = new NodeWebSocket(`${url}?room=${room}${host ? '&host=1' : ''}`);
+    const messages = [];
+    socket.onmessage = (e) => messages.push(typeof e.data === 'string' ? JSON.parse(e.data) : e.data);
+    socket.messages = messages;
+    socket.closed = false;
+    socket.onclose = () => { socket.closed = true; };
+    await waitFor(() => messages.length > 0 || socket.closed);
+    return socket;
+}
+
+const binary = (header, bytes) => {
+    const json = Buffer.from(JSON.stringify(header));
+    const message = Buffer.alloc(4 + json.length + bytes.length);
+    message.writeUInt32LE(json.length, 0);
+    json.copy(message, 4);
+    Buffer.from(bytes).copy(message, 4 + json.length);
+    return message;
+};
+
+test('peers are welcomed and messages reach the others, stamped with the sender', async (t) => {
+    const url = await startRelay(t);
+    const host = await connect(url, 'band', true);
+    const guest = await connect(url, 'band');
+
+    assert.deepStrictEqual(host.messages[0], { type: 'welcome', id: '1', host: '1', peers: [] });
+    assert.deepStrictEqual(guest.messages[0], { type: 'welcome', id: '2', host: '1', peers: ['1'] });
+    await waitFor(() => host.messages.length === 2);
+    assert.deepStrictEqual(host.messages[1], { type: 'peer-joined', id: '2' });
+
+    guest.send(JSON.stringify({ type: 'scene', index: 2 }));
+    await waitFor(() => host.messages.length === 3);
+    assert.deepStrictEqual(host.messages[2], { type: 'scene', index: 2, from: '2' });
+    assert.strictEqual(guest.messages.length, 1, 'not echoed back');
+});
+
+test('messages naming a peer only reach that peer, binary ones included', async (t) => {
+    const url = await startRelay(t);
+    const host = await connect(url, 'band', true);
+    const a = await connect(url, 'band');
+    const b = await connect(url, 'band');
+    await waitFor(() => a.messages.length === 2); // welcome, b joined
+
+    host.send(JSON.stringify({ type: 'session', to: '3' }));
+    const track = new Uint8Array(200000).map((_, i) => i % 251); // Needs the 64-bit length form
+    host.send(binary({ type: 'track', to: '3' }, track));
+    await waitFor(() => b.messages.length === 3);
+
+    assert.strictEqual(b.messages[1].type, 'session');
+    const received = Buffer.from(b.messages[2]);
+    assert.deepStrictEqual(received, binary({ type: 'track', to: '3', from: '1' }, track));
+    assert.strictEqual(a.messages.length, 2);
+});
+
+test('binary messages carry the real sender, whatever the header claims', async (t) => {
+    const url = await startRelay(t);
+    const host = await connect(url, 'band', true);
+    const guest = await connect(url, 'band');
+    await waitFor(() => host.messages.length === 2);
+
+    guest.send(binary({ type: 'track', from: '1' }, [1, 2, 3]));
+    await waitFor(() => host.messages.length === 3);
+    assert.deepStrictEqual(Buffer.from(host.messages[2]), binary({ type: 'track', from: '2' }, [1, 2, 3]));
+});
+
+test('hosting a taken room or joining a missing one is refused', async (t) => {
+    const url = await startRelay(t);
+    const host = await connect(url, 'band', true);
+
+    const second = await connect(url, 'band', true);
+    assert.strictEqual(second.messages[0].type, 'error');
+    const lost = await connect(url, 'nowhere');
+    assert.strictEqual(lost.messages[0].type, 'error');
+    await waitFor(() => second.closed && lost.closed);
+});
+
+test('a client resetting the connection while being refused does not take the relay down', async (t) => {
+    const url = await startRelay(t);
+    const { port } = new URL(url);
+    for (let i = 0; i < 5; i++) {
+        await new Promise(resolve => {
+            const socket = net.connect(port, 'localhost', () => {
+                socket.write('GET /?room=nowhere HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\n' +
+                    'Connection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+                socket.resetAndDestroy();
+                setTimeout(resolve, 20);
+            });
+        });
+    }
+    const host = await connect(url, 'band', true);
+    assert.strictEqual(host.messages[0].type, 'welcome');
+});
+
+test('when the host leaves, the longest-connected peer takes over', async (t) => {
+    const url = await startRelay(t);
+    const host = await connect(url, 'band', true);
+    const a = await connect(url, 'band');
+    const b = await connect(url, 'band');
+    await waitFor(() => a.messages.length === 2);
+
+    host.close();
+    await waitFor(() => b.messages.length === 3);
+    assert.deepStrictEqual(b.messages.slice(1), [{ type: 'peer-left', id: '1' }, { type: 'host', id: '2' }]);
+});
+
+test('messages that are valid JSON but not objects are dropped', async (t) => {
+    const url = await startRelay(t);
+    const host = await connect(url, 'band', true);
+    const guest = await connect(url, 'band');
+    await waitFor(() => host.messages.length === 2);
+
+    ['null', '3', '"hi"', '[1]'].forEach(text => guest.send(text));
+    guest.send(JSON.stringify({ type: 'scene', index: 1 }));
+    await waitFor(() => host.messages.length === 3);
+    assert.deepStrictEqual(host.messages[2], { type: 'scene', index: 1, from: '2' });
+
+    // The relay is still up for the room and for new peers
+    const late = await connect(url, 'band');
+    assert.strictEqual(late.messages[0].type, 'welcome');
+    assert.ok(!guest.closed);
+});
+
+test('a fragmented message is capped as a whole, not per frame', () => {
+    const received = [];
+    const errors = [];
+    const parser = new FrameParser((opcode, payload) => received.push(payload.length), (message) => errors.push(message), 1000);
+    const fragment = (opcode, length, fin) => {
+        const frame = encodeFrame(Buffer.alloc(length), opcode, true);
+        if (!fin) frame[0] &= 0x7f;
+        return frame;
+    };
+
+    parser.push(Buffer.concat([fragment(0x2, 400, false), fragment(0x0, 400, false), fragment(0x0, 200, true)]));
+    assert.deepStrictEqual(received, [1000], 'up to the limit is fine');
+
+    parser.push(Buffer.concat([fragment(0x2, 400, false), fragment(0x0, 400, false), fragment(0x0, 400, false)]));
+    assert.deepStrictEqual(errors, ['Message too large']);
+    assert.deepStrictEqual(received, [1000]);
+});
+
+test('a new data frame inside a fragmented message fails the connection', () => {
+    const frame = (opcode, fin) => {
+        const bytes = encodeFrame(Buffer.from('x'), opcode, true);
+        if (!fin) bytes[0] &= 0x7f;
+        return bytes;
+    };
+    const parse = (...frames) => {
+        const result = { received: [], errors: [] };
+        const parser = new FrameParser((opcode) => result.received.push(opcode), (message) => result.errors.push(message));
+        parser.push(Buffer.concat(frames));
+        return result;
+    };
+    const opening = frame(0x1, false);
+    const ping = frame(0x9, true);
+    const last = frame(0x0, true);
+
+    assert.deepStrictEqual(parse(opening, ping, last), { received: [0x9, 0x1], errors: [] }, 'control frames may interleave');
+    assert.deepStrictEqual(parse(opening, frame(0x2, false), last).errors, ['Expected a continuation frame']);
+    const whole = parse(opening, frame(0x2, true), last);
+    assert.deepStrictEqual(whole, { received: [], errors: ['Expected a continuation frame'] }, 'not delivered mid-message');
+    assert.deepStrictEqual(parse(last).errors, ['Unexpected continuation frame']);
+});
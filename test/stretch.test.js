@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stretchLoop, resampleLoop } = require('../looper');
+
+const SAMPLE_RATE = 8000;
+
+// A loop of `cycles` whole sine cycles, so it is seamless at the wrap
+const sineLoop = (cycles, length) =>
+    Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * cycles * i / length));
+
+const frequency = (data) => {
+    let crossings = 0;
+    for (let i = 1; i < data.length; i++) if (data[i - 1] < 0 && data[i] >= 0) crossings++;
+    return crossings / (data.length / SAMPLE_RATE);
+};
+
+// Largest step between neighbouring samples, including the wrap from the end back to the start
+const largestStep = (data) => {
+    let step = Math.abs(data[0] - data[data.length - 1]);
+    for (let i = 1; i < data.length; i++) step = Math.max(step, Math.abs(data[i] - data[i - 1]));
+    return step;
+};
+
+test('time stretch changes the length but keeps the pitch', () => {
+    const input = sineLoop(200, SAMPLE_RATE); // 200 Hz for 1 s
+    const [slower] = stretchLoop([input], SAMPLE_RATE * 1.25, 0, SAMPLE_RATE);
+    const [faster] = stretchLoop([input], SAMPLE_RATE * 0.8, 0, SAMPLE_RATE);
+
+    assert.strictEqual(slower.length, 10000);
+    assert.strictEqual(faster.length, 6400);
+    assert.ok(Math.abs(frequency(slower) - 200) < 2, `slower: ${frequency(slower)} Hz`);
+    assert.ok(Math.abs(frequency(faster) - 200) < 2, `faster: ${frequency(faster)} Hz`);
+});
+
+test('pitch shift keeps the length and moves the pitch by semitones', () => {
+    const input = sineLoop(200, SAMPLE_RATE);
+    const [octaveUp] = stretchLoop([input], SAMPLE_RATE, 12, SAMPLE_RATE);
+    const [fifthDown] = stretchLoop([input], SAMPLE_RATE, -7, SAMPLE_RATE);
+
+    assert.strictEqual(octaveUp.length, SAMPLE_RATE);
+    assert.ok(Math.abs(frequency(octaveUp) - 400) < 4, `octave up: ${frequency(octaveUp)} Hz`);
+    assert.ok(Math.abs(frequency(fifthDown) - 200 * Math.pow(2, -7 / 12)) < 3, `fifth down: ${frequency(fifthDown)} Hz`);
+});
+
+test('stretched loops stay seamless and channels stay in phase', () => {
+    const left = sineLoop(200, SAMPLE_RATE);
+    const right = left.map(v => -v);
+    const [outLeft, outRight] = stretchLoop([left, right], 9000, 3, SAMPLE_RATE);
+
+    // A 200-400 Hz sine moves less than 0.35 per sample at 8 kHz; a click would jump further
+    assert.ok(largestStep(outLeft) < 0.35, `largest step ${largestStep(outLeft)}`);
+    assert.ok(outLeft.every((v, i) => Math.abs(v + outRight[i]) < 1e-6));
+});
+
+test('resampling a loop wraps around its end', () => {
+    const out = resampleLoop(Float32Array.from([0, 1, 0, -1]), 8);
+    assert.deepStrictEqual([...out], [0, 0.5, 1, 0.5, 0, -0.5, -1, -0.5]);
+});
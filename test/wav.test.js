@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockBuffer } = require('./mock-audio');
+const { Looper } = require('../looper');
+
+const looper = new Looper({ storage: null });
+
+const text = (view, offset, length) =>
+    String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+test('16-bit stereo header and interleaved samples', () => {
+    const buffer = new MockBuffer(2, 3, 44100);
+    buffer.getChannelData(0).set([0, 1, -1]);
+    buffer.getChannelData(1).set([0.5, -0.5, 2]);
+    const view = looper.audioBufferToWav(buffer, 16);
+
+    assert.strictEqual(text(view, 0, 4), 'RIFF');
+    assert.strictEqual(view.getUint32(4, true), 36 + 12);
+    assert.strictEqual(text(view, 8, 8), 'WAVEfmt ');
+    assert.strictEqual(view.getUint16(20, true), 1); // Integer PCM
+    assert.strictEqual(view.getUint16(22, true), 2);
+    assert.strictEqual(view.getUint32(24, true), 44100);
+    assert.strictEqual(view.getUint32(28, true), 44100 * 4);
+    assert.strictEqual(view.getUint16(32, true), 4);
+    assert.strictEqual(view.getUint16(34, true), 16);
+    assert.strictEqual(text(view, 36, 4), 'data');
+    assert.strictEqual(view.getUint32(40, true), 12);
+
+    const samples = [0, 1, 2, 3, 4, 5].map(i => view.getInt16(44 + i * 2, true));
+    assert.deepStrictEqual(samples, [0, 16383, 32767, -16384, -32768, 32767]); // Clipped past ±1
+});
+
+test('24-bit mono uses 3-byte blocks', () => {
+    const buffer = new MockBuffer(1, 2, 48000);
+    buffer.getChannelData(0).set([1, -1]);
+    const view = looper.audioBufferToWav(buffer, 24);
+
+    assert.strictEqual(view.byteLength, 44 + 6);
+    assert.strictEqual(view.getUint32(28, true), 48000 * 3);
+    assert.strictEqual(view.getUint16(32, true), 3);
+    assert.strictEqual(view.getUint16(34, true), 24);
+
+    const read24 = (offset) => (view.getUint8(offset) | view.getUint8(offset + 1) << 8 | view.getInt8(offset + 2) << 16);
+    assert.strictEqual(read24(44), 0x7FFFFF);
+    assert.strictEqual(read24(47), -0x800000);
+});
+
+test('32-bit export is IEEE float and keeps values past ±1', () => {
+    const buffer = new MockBuffer(1, 2, 22050);
+    buffer.getChannelData(0).set([0.25, 1.5]);
+    const view = looper.audioBufferToWav(buffer, 32);
+
+    assert.strictEqual(view.getUint16(20, true), 3);
+    assert.strictEqual(view.getUint32(28, true), 22050 * 4);
+    assert.strictEqual(view.getFloat32(44, true), 0.25);
+    assert.strictEqual(view.getFloat32(48, true), 1.5);
+});
@@ -0,0 +1,75 @@
+/**
+ * Just enough of a browser WebSocket for Node 20 (which has none), built on the relay's framing.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { encodeFrame, FrameParser } = require('../server/relay');
+
+class NodeWebSocket {
+    constructor(url) {
+        this.readyState = 0;
+        this.binaryType = 'arraybuffer';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.socket = null;
+
+        const { port, pathname, search } = new URL(url);
+        const req = http.request({
+            port,
+            path: pathname + search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        req.on('upgrade', (res, socket, head) => {
+            this.socket = socket;
+            this.readyState = 1;
+            const parser = new FrameParser((opcode, payload) => {
+                if (opcode === 0x1) this.dispatch(payload.toString('utf8'));
+                if (opcode === 0x2) this.dispatch(payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.length));
+                if (opcode === 0x8) socket.end();
+            }, () => socket.destroy());
+            socket.on('data', (chunk) => parser.push(chunk));
+            socket.on('error', () => socket.destroy());
+            socket.on('close', () => {
+                this.readyState = 3;
+                if (this.onclose) this.onclose({});
+            });
+            if (this.onopen) this.onopen({});
+            if (head.length) parser.push(head);
+        });
+        req.on('error', () => {
+            this.readyState = 3;
+            if (this.onclose) this.onclose({});
+        });
+        req.end();
+    }
+
+    dispatch(data) {
+        if (this.onmessage) this.onmessage({ data });
+    }
+
+    send(data) {
+        const isText = typeof data === 'string';
+        this.socket.write(encodeFrame(isText ? Buffer.from(data) : Buffer.from(data), isText ? 0x1 : 0x2, true));
+    }
+
+    close() {
+        if (this.socket) this.socket.end(encodeFrame(Buffer.alloc(0), 0x8, true));
+    }
+}
+
+// Resolves once check() is truthy (polling), or fails after `timeout` ms
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+module.exports = { NodeWebSocket, waitFor };